@@ -5,6 +5,266 @@
 // Global state to store current questions
 let currentQuestions = [];
 
+// Presets saved by the user, in display order: [{ name, query }] (see loadSavedPresets)
+let savedPresets = [];
+
+// Worksheet code the current questions were generated from (null until first generation)
+let currentWorksheetCode = null;
+
+// Whether the current questions came from an imported file (a code and settings cannot recreate them)
+let currentQuestionsImported = false;
+
+// Settings the current questions were made with (see getWorksheetSettings), kept so later changes
+// to the form don't change the presentation link or heading (null until first generation)
+let currentSettings = null;
+
+// Difficulty level the current questions were generated with (see DIFFICULTY_LEVELS)
+let currentDifficulty = 'any';
+
+// Tables added outside the 1×-20× grid (e.g. 0×, 25×, 100×), in ascending order (see setCustomTables)
+let customTables = [];
+
+// Font files fetched for embedding in PDFs, as base64 keyed by URL (see loadPdfFont)
+let pdfFontData = {};
+
+// Blank written into question text where the answer goes
+const QUESTION_BLANK = '______';
+
+/**
+ * Question types and the checkbox that turns each one on
+ * - multiplication:        7 × 8 = ______
+ * - division:              56 ÷ 7 = ______
+ * - missing-first-factor:  ______ × 7 = 56
+ * - missing-second-factor: 7 × ______ = 56
+ * - missing-divisor:       56 ÷ ______ = 7
+ * - word-problem:          Amir has 7 boxes with 8 eggs in each box. How many eggs… ______
+ */
+const QUESTION_TYPES = [
+    { type: 'multiplication', inputId: 'includeMultiplication' },
+    { type: 'division', inputId: 'includeDivision' },
+    { type: 'missing-first-factor', inputId: 'includeMissingFirstFactor' },
+    { type: 'missing-second-factor', inputId: 'includeMissingSecondFactor' },
+    { type: 'missing-divisor', inputId: 'includeMissingDivisor' },
+    { type: 'word-problem', inputId: 'includeWordProblems' }
+];
+
+/**
+ * Difficulty levels and how each one shares the questions between easy, medium and hard facts
+ * (see getFactDifficulty). The default level, 'any', is not listed: every fact is equally likely.
+ */
+const DIFFICULTY_LEVELS = {
+    easy: { label: 'Easy', shares: { easy: 6, medium: 3, hard: 1 } },
+    medium: { label: 'Medium', shares: { easy: 2, medium: 6, hard: 2 } },
+    hard: { label: 'Hard', shares: { easy: 1, medium: 3, hard: 6 } },
+    mixed: { label: 'Mixed', shares: { easy: 1, medium: 1, hard: 1 } }
+};
+
+/**
+ * Question orders that work through each selected table in turn, like chanting it
+ * (see generateSequentialQuestions). The default order, 'shuffled', is not listed:
+ * it leaves the order to the question mix.
+ */
+const SEQUENTIAL_ORDERS = ['in-order', 'gaps', 'reversed'];
+
+// Names used in word problems
+const WORD_PROBLEM_NAMES = [
+    'Amir', 'Bella', 'Chen', 'Daisy', 'Ethan', 'Freya', 'Grace', 'Harry', 'Isla', 'Jacob',
+    'Kofi', 'Layla', 'Mia', 'Noah', 'Olivia', 'Priya', 'Ravi', 'Sofia', 'Tom', 'Zara'
+];
+
+// Things that come in groups, for word problems: "7 boxes with 8 eggs in each box"
+const WORD_PROBLEM_CONTEXTS = [
+    { group: 'box', groups: 'boxes', item: 'egg', items: 'eggs', preposition: 'in' },
+    { group: 'bag', groups: 'bags', item: 'apple', items: 'apples', preposition: 'in' },
+    { group: 'pack', groups: 'packs', item: 'pencil', items: 'pencils', preposition: 'in' },
+    { group: 'tray', groups: 'trays', item: 'cake', items: 'cakes', preposition: 'on' },
+    { group: 'vase', groups: 'vases', item: 'flower', items: 'flowers', preposition: 'in' },
+    { group: 'shelf', groups: 'shelves', item: 'book', items: 'books', preposition: 'on' },
+    { group: 'jar', groups: 'jars', item: 'sweet', items: 'sweets', preposition: 'in' },
+    { group: 'row', groups: 'rows', item: 'chair', items: 'chairs', preposition: 'in' },
+    { group: 'packet', groups: 'packets', item: 'sticker', items: 'stickers', preposition: 'in' },
+    { group: 'team', groups: 'teams', item: 'player', items: 'players', preposition: 'in' }
+];
+
+// Most versions of a worksheet that can go in one PDF (labelled A, B, C…)
+const MAX_PDF_VERSIONS = 10;
+
+/**
+ * Paper sizes offered for the PDF, in portrait (mm)
+ * Keys match jsPDF's format names; A5 gets narrower margins as it is often a half-sheet starter
+ */
+const PDF_PAPER_SIZES = {
+    a4: { label: 'A4', width: 210, height: 297, margin: 15 },
+    a5: { label: 'A5', width: 148, height: 210, margin: 10 },
+    letter: { label: 'Letter', width: 215.9, height: 279.4, margin: 15 },
+    legal: { label: 'Legal', width: 215.9, height: 355.6, margin: 15 }
+};
+
+/**
+ * Reading styles for the PDF and presentation mode
+ * The dyslexia-friendly style uses the OpenDyslexic font bundled in fonts/ (SIL Open Font License)
+ * with extra space after each letter (letterSpacing, as a fraction of the font size) and between
+ * lines (lineSpacing, a multiple of the usual spacing). The standard style keeps jsPDF's Helvetica.
+ */
+const READING_STYLES = {
+    standard: { font: null, letterSpacing: 0, lineSpacing: 1 },
+    dyslexia: {
+        font: { name: 'OpenDyslexic', normal: 'fonts/OpenDyslexic-Regular.ttf', bold: 'fonts/OpenDyslexic-Bold.ttf' },
+        letterSpacing: 0.05,
+        lineSpacing: 1.5
+    }
+};
+
+/**
+ * Colour schemes for the PDF and presentation mode, as RGB
+ * - background: page tint, or null to leave the paper white
+ * - text, instructions and footer: colours of the questions, the instruction line and the footer
+ * - answer: answers on the answer keys and in presentation mode, picked to keep at least
+ *   4.5:1 contrast with the background so they stay readable
+ * - headerFill and answerFill: grid header cells and the filled-in blank cells on grid answer keys
+ */
+const COLOR_SCHEMES = {
+    standard: {
+        background: null,
+        text: [0, 0, 0],
+        instructions: [60, 60, 60],
+        footer: [100, 100, 100],
+        answer: [211, 47, 47],
+        headerFill: [230, 230, 230],
+        answerFill: [255, 235, 238]
+    },
+    cream: {
+        background: [253, 246, 227],
+        text: [0, 0, 0],
+        instructions: [60, 60, 60],
+        footer: [90, 90, 90],
+        answer: [183, 28, 28],
+        headerFill: [237, 226, 196],
+        answerFill: [250, 222, 210]
+    },
+    blue: {
+        background: [221, 235, 247],
+        text: [0, 0, 0],
+        instructions: [55, 55, 55],
+        footer: [80, 80, 80],
+        answer: [170, 0, 30],
+        headerFill: [190, 214, 236],
+        answerFill: [246, 214, 222]
+    },
+    green: {
+        background: [222, 240, 216],
+        text: [0, 0, 0],
+        instructions: [55, 55, 55],
+        footer: [80, 80, 80],
+        answer: [170, 0, 30],
+        headerFill: [192, 222, 182],
+        answerFill: [246, 214, 214]
+    },
+    'high-contrast': {
+        background: [0, 0, 0],
+        text: [255, 255, 255],
+        instructions: [235, 235, 235],
+        footer: [200, 200, 200],
+        answer: [255, 221, 0],
+        headerFill: [64, 64, 64],
+        answerFill: [60, 48, 0]
+    }
+};
+
+// Most questions an imported set may have (the same limit as the question slider)
+const MAX_IMPORTED_QUESTIONS = 99;
+
+// Title used on the PDF and in presentation mode when no custom title is entered
+const DEFAULT_PDF_TITLE = 'Timestable worksheet';
+const DEFAULT_PRESENTATION_TITLE = 'Times table practice';
+
+// Longest custom title and instruction line (matches the maxlength of the inputs)
+const MAX_TITLE_LENGTH = 80;
+const MAX_INSTRUCTIONS_LENGTH = 160;
+
+// Height (mm) of the optional Name / Date / Class / Score / Time taken block under the PDF title
+const PDF_HEADER_HEIGHT = 16;
+
+/**
+ * Built-in presets shown above the times tables
+ * Each one selects a set of tables and leaves the other settings alone
+ */
+const TABLE_PRESETS = [
+    { name: '2–12', tables: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] },
+    { name: '2, 5, 10 only', tables: [2, 5, 10] },
+    { name: '10 and 20', tables: [10, 20] },
+    { name: '13–20', tables: [13, 14, 15, 16, 17, 18, 19, 20] },
+    { name: '25, 50, 75, 100', tables: [25, 50, 75, 100] },
+    { name: 'Clear all', tables: [] }
+];
+
+/**
+ * Settings the form starts with (these match the defaults in index.html)
+ * Used by "Reset to defaults" and for anything a saved preset or remembered settings leave out
+ */
+const DEFAULT_WORKSHEET_SETTINGS = {
+    numQuestions: 20,
+    tables: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    multiplierMin: 1,
+    multiplierMax: 12,
+    questionTypes: ['multiplication'],
+    distribution: 'random',
+    sequence: 'shuffled',
+    wholeTable: false,
+    tableHeadings: false,
+    difficulty: 'any',
+    factorOrder: 'table-first',
+    divisor: 'table',
+    versions: 1,
+    answerKeyPlacement: 'after-each',
+    includeHeader: false,
+    paperSize: 'a4',
+    orientation: 'portrait',
+    worksheetType: 'questions',
+    gridBlankPercent: 50,
+    gridShuffleHeaders: false,
+    title: '',
+    instructions: '',
+    readingStyle: 'standard',
+    colorScheme: 'standard'
+};
+
+// localStorage key for the settings last used on this device
+const SETTINGS_STORAGE_KEY = 'timestableworksheet.settings';
+
+// localStorage key for presets saved by the user
+const PRESETS_STORAGE_KEY = 'timestableworksheet.presets';
+
+// Most presets that can be saved, and the longest name one can have
+const MAX_SAVED_PRESETS = 50;
+const MAX_PRESET_NAME_LENGTH = 40;
+
+// Facts shown in the progress heatmap: the 1× to 20× tables offered by createTimesTableCheckboxes(), times 1 to 12
+const PROGRESS_TABLES_MAX = 20;
+const PROGRESS_MULTIPLIER_MAX = 12;
+
+// localStorage key for learner profiles and the answers they have entered
+const LEARNERS_STORAGE_KEY = 'timestableworksheet.learners';
+
+// Longest learner name
+const MAX_LEARNER_NAME_LENGTH = 40;
+
+// "Generate from weak facts" practises up to this many of the learner's weakest facts
+const WEAK_FACT_COUNT = 12;
+
+// Facts answered correctly but taking longer than this on average still count as weak
+const WEAK_FACT_SECONDS = 3;
+
+// Allowed range for the "multiply by" controls (second factor of each question)
+const MULTIPLIER_LOWEST = 0;
+const MULTIPLIER_HIGHEST = 20;
+
+// Tables 1× to GRID_TABLE_HIGHEST have a checkbox in the grid; any other table from 0× up to
+// CUSTOM_TABLE_HIGHEST can be added as a custom table, up to MAX_CUSTOM_TABLES of them
+const GRID_TABLE_HIGHEST = 20;
+const CUSTOM_TABLE_HIGHEST = 1000;
+const MAX_CUSTOM_TABLES = 12;
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
@@ -16,11 +276,24 @@ document.addEventListener('DOMContentLoaded', function() {
 
 /**
  * Sets up the app when the page loads
- * Creates the times table checkboxes and sets up event listeners
+ * Creates the times table checkboxes and preset buttons, applies any settings
+ * from a shared link (or the settings used last time) and sets up event listeners
  */
 function initializeApp() {
     createTimesTableCheckboxes();
+    savedPresets = loadSavedPresets();
+    renderPresetButtons();
+    loadLearnerProfiles();
+    renderLearnerOptions();
+    const linkOptions = applySettingsFromUrl();
+    // Settings in a shared link take priority over the ones remembered from last time
+    restoreSettingsFromStorage(Object.keys(linkOptions.settings).length === 0);
     setupEventListeners();
+    
+    // Shared presentation links open straight into presentation mode
+    if (linkOptions.present) {
+        handleGenerate();
+    }
 }
 
 /**
@@ -30,7 +303,7 @@ function initializeApp() {
 function createTimesTableCheckboxes() {
     const tablesGrid = document.getElementById('tablesGrid');
     
-    for (let i = 1; i <= 20; i++) {
+    for (let i = 1; i <= GRID_TABLE_HIGHEST; i++) {
         const label = document.createElement('label');
         label.className = 'checkbox-label';
         
@@ -69,12 +342,151 @@ function createTimesTableCheckboxes() {
     }
 }
 
+/**
+ * Checks whether a table has a checkbox in the grid rather than being a custom table
+ * @param {number} table - Table number
+ * @returns {boolean} True for 1× to GRID_TABLE_HIGHEST×
+ */
+function isGridTable(table) {
+    return table >= 1 && table <= GRID_TABLE_HIGHEST;
+}
+
+/**
+ * Replaces the custom tables and redraws their chips
+ * Grid tables, repeats and tables out of range are left out, as is anything past MAX_CUSTOM_TABLES
+ * @param {number[]} tables - Table numbers
+ */
+function setCustomTables(tables) {
+    customTables = [];
+    tables.forEach(table => {
+        if (Number.isInteger(table) && table >= 0 && table <= CUSTOM_TABLE_HIGHEST && !isGridTable(table) &&
+            !customTables.includes(table) && customTables.length < MAX_CUSTOM_TABLES) {
+            customTables.push(table);
+        }
+    });
+    customTables.sort((a, b) => a - b);
+    renderCustomTableChips();
+}
+
+/**
+ * Shows each custom table as a chip with a button to remove it
+ */
+function renderCustomTableChips() {
+    const list = document.getElementById('customTableList');
+    list.innerHTML = '';
+    
+    customTables.forEach(table => {
+        const item = document.createElement('li');
+        item.className = 'custom-table-chip';
+        
+        const text = document.createElement('span');
+        text.textContent = `${table}×`;
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'custom-table-remove';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', `Remove the ${table}× table`);
+        removeButton.addEventListener('click', () => removeCustomTable(table));
+        
+        item.appendChild(text);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Checks a table typed into the "Other tables" box
+ * @param {string} value - Text typed in
+ * @returns {string} Error message, or an empty string if the table can be added
+ */
+function getCustomTableError(value) {
+    const table = parseWholeNumber(value);
+    if (isNaN(table) || table > CUSTOM_TABLE_HIGHEST) {
+        return `Please enter a whole number between 0 and ${CUSTOM_TABLE_HIGHEST}`;
+    }
+    if (customTables.includes(table)) {
+        return `The ${table}× table has already been added`;
+    }
+    if (!isGridTable(table) && customTables.length >= MAX_CUSTOM_TABLES) {
+        return `You can add up to ${MAX_CUSTOM_TABLES} other tables. Remove one to make room.`;
+    }
+    return '';
+}
+
+/**
+ * Handles the "Add table" button
+ * Tables from the grid are simply ticked there; anything else becomes a custom table chip
+ */
+function handleAddCustomTable() {
+    clearErrors();
+    const input = document.getElementById('customTableInput');
+    const error = getCustomTableError(input.value);
+    if (error) {
+        showError('customTableError', error);
+        return;
+    }
+    
+    const table = parseWholeNumber(input.value);
+    if (isGridTable(table)) {
+        const checkbox = document.getElementById(`table-${table}`);
+        checkbox.checked = true;
+        checkbox.closest('.checkbox-label').classList.add('checkbox-checked');
+    } else {
+        setCustomTables(customTables.concat(table));
+    }
+    input.value = '';
+    saveSettingsToStorage();
+}
+
+/**
+ * Removes a custom table
+ * Focus goes back to the "Other tables" box, as the chip's button no longer exists
+ * @param {number} table - Table number
+ */
+function removeCustomTable(table) {
+    setCustomTables(customTables.filter(customTable => customTable !== table));
+    saveSettingsToStorage();
+    document.getElementById('customTableInput').focus();
+}
+
 /**
  * Sets up all event listeners for buttons and inputs
  */
 function setupEventListeners() {
     document.getElementById('generateBtn').addEventListener('click', handleGenerate);
     document.getElementById('downloadBtn').addEventListener('click', handleDownload);
+    document.getElementById('copyLinkBtn').addEventListener('click', function() {
+        copyShareLink(this, false);
+    });
+    document.getElementById('resetSettingsBtn').addEventListener('click', handleResetSettings);
+    
+    // Remember the settings whenever any of them changes
+    const controlsSection = document.getElementById('controlsSection');
+    controlsSection.addEventListener('input', saveSettingsToStorage);
+    controlsSection.addEventListener('change', saveSettingsToStorage);
+    
+    // Quiz mode listeners
+    document.getElementById('quizBtn').addEventListener('click', handleStartQuiz);
+    document.getElementById('markQuizBtn').addEventListener('click', markQuiz);
+    document.getElementById('retryQuizBtn').addEventListener('click', resetQuiz);
+    document.getElementById('newQuizBtn').addEventListener('click', handleStartQuiz);
+    document.getElementById('closeQuizBtn').addEventListener('click', closeQuiz);
+    document.getElementById('quizQuestionsList').addEventListener('keydown', handleQuizInputKeydown);
+    document.getElementById('quizQuestionsList').addEventListener('focusin', handleQuizInputFocus);
+    document.getElementById('quizQuestionsList').addEventListener('focusout', handleQuizInputBlur);
+    
+    // Multiplication tables check practice listeners
+    document.getElementById('mtcBtn').addEventListener('click', handleStartMtc);
+    document.getElementById('mtcRestartBtn').addEventListener('click', handleStartMtc);
+    document.getElementById('closeMtcBtn').addEventListener('click', closeMtc);
+    document.getElementById('mtcSummaryCloseBtn').addEventListener('click', closeMtc);
+    document.getElementById('mtcAnswer').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            submitMtcAnswer();
+        }
+    });
     
     // Update displayed value when slider changes
     const slider = document.getElementById('numQuestions');
@@ -83,12 +495,58 @@ function setupEventListeners() {
         valueDisplay.textContent = this.value;
     });
     
-    // Preset button listeners
-    document.getElementById('presetTwoToTwelve').addEventListener('click', handlePresetTwoToTwelve);
-    document.getElementById('presetEasyTables').addEventListener('click', handlePresetEasyTables);
-    document.getElementById('presetTenAndTwenty').addEventListener('click', handlePresetTenAndTwenty);
-    document.getElementById('presetThirteenToTwenty').addEventListener('click', handlePresetThirteenToTwenty);
-    document.getElementById('presetClearAll').addEventListener('click', handlePresetClearAll);
+    // Grid options only apply to the multiplication grid layout
+    document.getElementById('worksheetType').addEventListener('change', updateGridOptionsVisibility);
+    
+    // Whole tables and table headings only apply when questions go through the tables in order
+    document.getElementById('questionSequence').addEventListener('change', updateSequenceOptions);
+    document.getElementById('wholeTable').addEventListener('change', updateSequenceOptions);
+    
+    // Export and import listeners
+    document.getElementById('exportBtn').addEventListener('click', handleExport);
+    document.getElementById('importBtn').addEventListener('click', function() {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', handleImportFile);
+    document.getElementById('presentImportBtn').addEventListener('click', openPresentationMode);
+    document.getElementById('downloadImportBtn').addEventListener('click', handleDownloadImported);
+    
+    // Saved preset listeners (the preset buttons themselves are set up by renderPresetButtons)
+    document.getElementById('savePresetBtn').addEventListener('click', handleSavePreset);
+    document.getElementById('presetName').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleSavePreset();
+        }
+    });
+    document.getElementById('addCustomTableBtn').addEventListener('click', handleAddCustomTable);
+    document.getElementById('customTableInput').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleAddCustomTable();
+        }
+    });
+    document.getElementById('exportPresetsBtn').addEventListener('click', handleExportPresets);
+    document.getElementById('importPresetsBtn').addEventListener('click', function() {
+        document.getElementById('importPresetsFile').click();
+    });
+    document.getElementById('importPresetsFile').addEventListener('change', handleImportPresetsFile);
+    
+    // Learner progress listeners
+    document.getElementById('learnerSelect').addEventListener('change', handleLearnerChange);
+    document.getElementById('addLearnerBtn').addEventListener('click', handleAddLearner);
+    document.getElementById('newLearnerName').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            handleAddLearner();
+        }
+    });
+    document.getElementById('deleteLearnerBtn').addEventListener('click', handleDeleteLearner);
+    document.getElementById('heatmapMode').addEventListener('change', renderProgressHeatmap);
+    document.getElementById('weakFactsBtn').addEventListener('click', handleGenerateWeakFacts);
+    document.getElementById('presentWeakFactsBtn').addEventListener('click', openPresentationMode);
+    document.getElementById('quizWeakFactsBtn').addEventListener('click', openQuiz);
+    document.getElementById('downloadWeakFactsBtn').addEventListener('click', handleDownloadImported);
 }
 
 /* ============================================
@@ -99,9 +557,13 @@ function setupEventListeners() {
  * Validates user inputs before generating worksheet
  * Returns true if valid, false otherwise
  * Shows inline error messages if validation fails
+ * The PDF versions and grid settings are only checked for a PDF download, and a grid PDF
+ * skips the checks on the number of questions (a grid has no question list)
+ * @param {boolean} forPdf - Whether the inputs are for the Download PDF button
  */
-function validateInputs() {
+function validateInputs(forPdf = false) {
     let isValid = true;
+    const isGridPdf = forPdf && document.getElementById('worksheetType').value === 'grid';
     
     // Clear previous errors
     clearErrors();
@@ -122,16 +584,126 @@ function validateInputs() {
         isValid = false;
     }
     
+    // A table typed into the "Other tables" box but never added would silently be left out
+    const customTableInput = document.getElementById('customTableInput');
+    const customTableValue = customTableInput.value.trim();
+    if (customTableValue || customTableInput.validity.badInput) {
+        const customTableError = getCustomTableError(customTableValue);
+        showError('customTableError', customTableError ||
+            `Press Add table to include the ${parseWholeNumber(customTableValue)}× table, or clear the box`);
+        isValid = false;
+    }
+    
+    // Validate at least one question type is selected
+    if (getSelectedQuestionTypes().length === 0) {
+        showError('questionTypesError', 'Please select at least one type of question');
+        isValid = false;
+    }
+    
+    // Validate the multiplier range
+    const multiplierRange = getMultiplierRange();
+    if (isNaN(multiplierRange.min) || isNaN(multiplierRange.max) ||
+        multiplierRange.min < MULTIPLIER_LOWEST || multiplierRange.max > MULTIPLIER_HIGHEST) {
+        showError('multiplierError', `Please enter whole numbers between ${MULTIPLIER_LOWEST} and ${MULTIPLIER_HIGHEST}`);
+        isValid = false;
+    } else if (multiplierRange.min > multiplierRange.max) {
+        showError('multiplierError', 'The first number must not be bigger than the second');
+        isValid = false;
+    }
+    
+    // In balanced mode every question must be a different fact, so the pool must be big enough
+    // (the mix does not apply when the questions go through the tables in order)
+    const distribution = document.getElementById('distributionMode').value;
+    const sequence = document.getElementById('questionSequence').value;
+    const isSequential = SEQUENTIAL_ORDERS.includes(sequence);
+    if (isValid && !isGridPdf && distribution === 'balanced' && !isSequential) {
+        const poolSize = countFactPool(selectedTables, multiplierRange);
+        if (poolSize < numQuestions) {
+            showError('numQuestionsError', `Only ${poolSize} different facts are possible with these tables and multipliers. Choose fewer questions, add more tables or widen the range, or switch to random mix.`);
+            isValid = false;
+        }
+    }
+    
+    // Otherwise the questions are shared between the tables, so every table needs at least one
+    if (isValid && !isGridPdf && isSequential && !document.getElementById('wholeTable').checked && numQuestions < selectedTables.length) {
+        showError('numQuestionsError', `Going through ${selectedTables.length} tables in order needs at least ${selectedTables.length} questions, one for each table. Choose more questions or fewer tables, or tick Whole table.`);
+        isValid = false;
+    }
+    
+    // Whole tables set the number of questions themselves, so they must still fit on a worksheet
+    if (isValid && !isGridPdf && isSequential && document.getElementById('wholeTable').checked) {
+        const runLength = multiplierRange.max - multiplierRange.min + 1;
+        const wholeTableCount = selectedTables.length * (runLength - getSequenceGapCount(sequence, runLength));
+        if (wholeTableCount > 99) {
+            showError('numQuestionsError', `The whole tables come to ${wholeTableCount} questions, but a worksheet can have at most 99. Choose fewer tables or a smaller range to multiply by.`);
+            isValid = false;
+        }
+    }
+    
+    // Validate the number of PDF versions
+    const numVersions = parseWholeNumber(document.getElementById('numVersions').value);
+    if (forPdf && (isNaN(numVersions) || numVersions < 1 || numVersions > MAX_PDF_VERSIONS)) {
+        showError('versionsError', `Please enter a number of versions between 1 and ${MAX_PDF_VERSIONS}`);
+        isValid = false;
+    }
+    
+    // Validate the percentage of blanked-out cells for the multiplication grid
+    if (isGridPdf) {
+        const blankPercent = parseWholeNumber(document.getElementById('gridBlankPercent').value);
+        if (isNaN(blankPercent) || blankPercent < 0 || blankPercent > 100) {
+            showError('gridBlankError', 'Please enter a percentage between 0 and 100');
+            isValid = false;
+        }
+    }
+    
+    // Validate the worksheet code if one has been typed in
+    const enteredCode = getEnteredWorksheetCode();
+    if (enteredCode && !isValidWorksheetCode(enteredCode)) {
+        showError('worksheetCodeError', `Worksheet codes are ${WORKSHEET_CODE_LENGTH} letters and numbers, e.g. K7P3QX`);
+        isValid = false;
+    }
+    
     return isValid;
 }
 
 /**
- * Gets all selected times tables as an array of numbers
- * @returns {number[]} Array of selected table numbers (e.g., [2, 3, 4])
+ * Gets all selected times tables as an array of numbers, including custom tables
+ * @returns {number[]} Array of selected table numbers in ascending order (e.g., [0, 2, 3, 4, 25])
  */
 function getSelectedTables() {
     const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]:checked');
-    return Array.from(checkboxes).map(cb => parseInt(cb.value, 10));
+    const gridTables = Array.from(checkboxes).map(cb => parseInt(cb.value, 10));
+    return gridTables.concat(customTables).sort((a, b) => a - b);
+}
+
+/**
+ * Gets all selected question types
+ * @returns {string[]} Array of question types (e.g., ['multiplication', 'division'])
+ */
+function getSelectedQuestionTypes() {
+    return QUESTION_TYPES
+        .filter(questionType => document.getElementById(questionType.inputId).checked)
+        .map(questionType => questionType.type);
+}
+
+/**
+ * Gets the range of numbers the selected tables are multiplied by
+ * @returns {Object} Object with min and max (NaN if a field is not a whole number)
+ */
+function getMultiplierRange() {
+    return {
+        min: parseWholeNumber(document.getElementById('multiplierMin').value),
+        max: parseWholeNumber(document.getElementById('multiplierMax').value)
+    };
+}
+
+/**
+ * Parses a whole number typed into a number field
+ * @param {string} value - Field value
+ * @returns {number} The number, or NaN if the value is not a whole number
+ */
+function parseWholeNumber(value) {
+    return /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : NaN;
 }
 
 /**
@@ -162,106 +734,6 @@ function triggerPresetAnimation() {
     }, 400);
 }
 
-/**
- * Handles the "2–12" preset button click
- * Unchecks all tables first, then checks 2× to 12×
- */
-function handlePresetTwoToTwelve() {
-    const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]');
-    // First, uncheck everything
-    checkboxes.forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    // Then, check only 2× to 12×
-    checkboxes.forEach(checkbox => {
-        const value = parseInt(checkbox.value, 10);
-        if (value >= 2 && value <= 12) {
-            checkbox.checked = true;
-        }
-    });
-    triggerPresetAnimation();
-}
-
-/**
- * Handles the "2, 5, 10 only" preset button click
- * Unchecks all tables first, then checks only 2×, 5×, and 10×
- */
-function handlePresetEasyTables() {
-    const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]');
-    // First, uncheck everything
-    checkboxes.forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    // Then, check only 2×, 5×, and 10×
-    checkboxes.forEach(checkbox => {
-        const value = parseInt(checkbox.value, 10);
-        if (value === 2 || value === 5 || value === 10) {
-            checkbox.checked = true;
-        }
-    });
-    triggerPresetAnimation();
-}
-
-/**
- * Handles the "10 and 20" preset button click
- * Unchecks all tables first, then checks only 10× and 20×
- */
-function handlePresetTenAndTwenty() {
-    const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]');
-    // First, uncheck everything
-    checkboxes.forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    // Then, check only 10× and 20×
-    checkboxes.forEach(checkbox => {
-        const value = parseInt(checkbox.value, 10);
-        if (value === 10 || value === 20) {
-            checkbox.checked = true;
-        }
-    });
-    triggerPresetAnimation();
-}
-
-/**
- * Handles the "13–20" preset button click
- * Unchecks all tables first, then checks 13× to 20×
- */
-function handlePresetThirteenToTwenty() {
-    const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]');
-    // First, uncheck everything
-    checkboxes.forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    // Then, check only 13× to 20×
-    checkboxes.forEach(checkbox => {
-        const value = parseInt(checkbox.value, 10);
-        if (value >= 13 && value <= 20) {
-            checkbox.checked = true;
-        }
-    });
-    triggerPresetAnimation();
-}
-
-/**
- * Handles the "Clear all" preset button click
- * Unchecks all times table checkboxes and removes highlight
- */
-function handlePresetClearAll() {
-    const checkboxes = document.querySelectorAll('#tablesGrid input[type="checkbox"]');
-    const labels = document.querySelectorAll('#tablesGrid .checkbox-label');
-    
-    checkboxes.forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    
-    // Explicitly remove the highlight class from all labels
-    labels.forEach(label => {
-        label.classList.remove('checkbox-checked');
-    });
-    
-    // No animation for clear all as nothing is selected
-}
-
 /**
  * Shows an error message in the specified error container
  * @param {string} errorId - The ID of the error message element
@@ -280,6 +752,17 @@ function showError(errorId, message) {
 function clearErrors() {
     document.getElementById('numQuestionsError').textContent = '';
     document.getElementById('tablesError').textContent = '';
+    document.getElementById('customTableError').textContent = '';
+    document.getElementById('questionTypesError').textContent = '';
+    document.getElementById('multiplierError').textContent = '';
+    document.getElementById('versionsError').textContent = '';
+    document.getElementById('pdfFitError').textContent = '';
+    document.getElementById('gridBlankError').textContent = '';
+    document.getElementById('readingStyleError').textContent = '';
+    document.getElementById('importError').textContent = '';
+    document.getElementById('presetError').textContent = '';
+    document.getElementById('learnerError').textContent = '';
+    document.getElementById('worksheetCodeError').textContent = '';
 }
 
 /* ============================================
@@ -297,16 +780,16 @@ function generateWorksheet() {
     }
     
     // Get user settings
-    const numQuestions = parseInt(document.getElementById('numQuestions').value, 10);
-    const selectedTables = getSelectedTables();
-    const includeDivision = document.getElementById('includeDivision').checked;
+    const settings = getWorksheetSettings();
+    
+    // Seed the random number generator from the entered (or a fresh) worksheet code
+    prepareWorksheetCode();
     
     // Generate questions
-    currentQuestions = [];
-    for (let i = 0; i < numQuestions; i++) {
-        const question = generateQuestion(selectedTables, includeDivision);
-        currentQuestions.push(question);
-    }
+    currentQuestions = generateQuestionSet(settings);
+    currentQuestionsImported = false;
+    currentSettings = settings;
+    currentDifficulty = getEffectiveDifficulty(settings);
     
     // Render the worksheet and answers (for presentation mode only)
     renderWorksheet(currentQuestions);
@@ -316,88 +799,768 @@ function generateWorksheet() {
 }
 
 /**
- * Generates a single question (multiplication or division)
- * @param {number[]} selectedTables - Array of selected times table numbers
- * @param {boolean} includeDivision - Whether to include division questions
- * @returns {Object} Question object with type, base, other, question text, and answer
+ * Generates all questions for a worksheet using the chosen question mix
+ * - random: every question is picked independently, so facts may repeat
+ * - balanced: no fact repeats, and tables and question types are used evenly
+ * Orders that go through the tables in turn ignore the mix (see generateSequentialQuestions)
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
+ * @returns {Object[]} Array of question objects
  */
-function generateQuestion(selectedTables, includeDivision) {
-    // Pick a random table from selected tables
-    const base = pickRandom(selectedTables);
+function generateQuestionSet(settings) {
+    const multiplierRange = { min: settings.multiplierMin, max: settings.multiplierMax };
     
-    // Pick a random number from 1 to 12
-    const other = randomInt(1, 12);
+    if (SEQUENTIAL_ORDERS.includes(settings.sequence)) {
+        return generateSequentialQuestions(settings);
+    }
     
-    // Decide if this should be a division question (50% chance if division is enabled)
-    const isDivision = includeDivision && Math.random() < 0.5;
+    if (settings.distribution === 'balanced') {
+        return generateBalancedQuestions(settings.numQuestions, settings.tables, settings.questionTypes, multiplierRange, settings.difficulty, settings);
+    }
     
-    if (isDivision) {
-        // Division question: (base × other) ÷ base = other
-        // Display as: (base × other) ÷ base = ______
-        const product = base * other;
-        return {
-            type: 'division',
-            base: base,
-            other: other,
-            product: product,
-            questionText: `${product} ÷ ${base} = ______`,
-            answer: other
-        };
-    } else {
-        // Multiplication question: base × other = ______
-        return {
-            type: 'multiplication',
-            base: base,
-            other: other,
-            questionText: `${base} × ${other} = ______`,
-            answer: base * other
-        };
+    const questions = [];
+    for (let i = 0; i < settings.numQuestions; i++) {
+        questions.push(generateQuestion(settings.tables, settings.questionTypes, multiplierRange, settings.difficulty, settings));
     }
+    return questions;
 }
 
 /**
- * Picks a random element from an array
- * @param {Array} array - The array to pick from
- * @returns {*} A random element from the array
+ * Generates questions that go through each selected table in turn, like chanting it
+ * - in-order: 1, 2, 3 … times the table, then on to the next table
+ * - gaps: the same, but with a third of each table's facts left out, so answers
+ *         can't just be counted on from the one before
+ * - reversed: counting back down each table from the top of the range
+ * With wholeTable every table is asked all the way through and numQuestions is ignored;
+ * otherwise numQuestions is shared evenly between the tables (the first tables get any
+ * left over), and a table starts again from the beginning if its share is longer than it.
+ * Only the gaps and the question types are random, so with one question type in-order
+ * and reversed give the same questions every time (all PDF versions are identical).
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
+ * @returns {Object[]} Array of question objects, in order
  */
-function pickRandom(array) {
-    return array[Math.floor(Math.random() * array.length)];
+function generateSequentialQuestions(settings) {
+    const multipliers = [];
+    for (let other = settings.multiplierMin; other <= settings.multiplierMax; other++) {
+        multipliers.push(other);
+    }
+    if (settings.sequence === 'reversed') {
+        multipliers.reverse();
+    }
+    
+    const runs = settings.tables.map(base => {
+        // Each table gets its own gaps, but keeps its facts in order
+        const gaps = shuffleArray(multipliers).slice(0, getSequenceGapCount(settings.sequence, multipliers.length));
+        return multipliers.filter(other => !gaps.includes(other)).map(other => ({ base: base, other: other }));
+    });
+    
+    const facts = [];
+    const share = Math.floor(settings.numQuestions / runs.length);
+    const extra = settings.numQuestions % runs.length;
+    runs.forEach((run, index) => {
+        const count = settings.wholeTable ? run.length : share + (index < extra ? 1 : 0);
+        for (let i = 0; i < count; i++) {
+            facts.push(run[i % run.length]);
+        }
+    });
+    
+    const questions = [];
+    facts.forEach(fact => {
+        const type = settings.questionTypes.length > 1 ? pickRandom(settings.questionTypes) : settings.questionTypes[0];
+        questions.push(createQuestion(type, fact.base, fact.other, chooseSwapFactors(type, settings)));
+    });
+    return questions;
 }
 
 /**
- * Generates a random integer between min and max (inclusive)
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} Random integer
+ * Counts the facts left out of each table when going through it in order with gaps
+ * @param {string} sequence - Question order (see SEQUENTIAL_ORDERS)
+ * @param {number} runLength - Number of facts in one table
+ * @returns {number} A third of the facts (rounded down) for 'gaps', otherwise 0
  */
-function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function getSequenceGapCount(sequence, runLength) {
+    return sequence === 'gaps' ? Math.floor(runLength / 3) : 0;
 }
 
-/* ============================================
-   Rendering
-   ============================================ */
+/**
+ * Gets the difficulty level the questions are really picked with
+ * Orders that go through the tables in turn ask every fact, so they have no level
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
+ * @returns {string} Key of DIFFICULTY_LEVELS, or 'any'
+ */
+function getEffectiveDifficulty(settings) {
+    return SEQUENTIAL_ORDERS.includes(settings.sequence) ? 'any' : settings.difficulty;
+}
 
 /**
- * Systematically calculates optimal layout for any question count from 1 to 99
- * Font size decreases as question count increases
- * Column count increases as question count increases
- * @param {number} questionCount - Number of questions (1-99)
- * @returns {Object} Object with columns, fontSize, and lineHeight
+ * Counts the different facts (table × multiplier pairs) available
+ * @param {number[]} selectedTables - Array of selected times table numbers
+ * @param {Object} multiplierRange - Range of the second factor, with min and max
+ * @returns {number} Number of different facts
  */
-function calculateOptimalLayout(questionCount) {
-    // A4 portrait: 210mm x 297mm
-    const pageHeight = 297;
-    const pageWidth = 210;
-    const margin = 15;
-    const titleY = margin + 8;
-    const titleHeight = 12;
-    const titleGap = 5;
-    const startY = titleY + titleHeight + titleGap;
-    const maxY = pageHeight - margin;
-    const usableHeight = maxY - startY; // ~247mm available for questions
-    const usableWidth = pageWidth - (margin * 2); // ~180mm
-    
+function countFactPool(selectedTables, multiplierRange) {
+    return selectedTables.length * (multiplierRange.max - multiplierRange.min + 1);
+}
+
+/**
+ * Generates questions with no repeated facts, spread evenly across the tables
+ * Each table gets the same number of questions (the remainder goes to randomly
+ * chosen tables), and multipliers within a table are drawn without replacement
+ * (favouring facts of the chosen difficulty, if there is one).
+ * Expects the fact pool to be at least as big as numQuestions (see validateInputs)
+ * @param {number} numQuestions - Number of questions to generate
+ * @param {number[]} selectedTables - Array of selected times table numbers
+ * @param {string[]} questionTypes - Question types to share the questions between
+ * @param {Object} multiplierRange - Range of the second factor, with min and max
+ * @param {string} difficulty - Key of DIFFICULTY_LEVELS, or 'any' for no preference
+ * @param {Object} order - Object with factorOrder and divisor (see chooseSwapFactors), or omitted for table first
+ * @returns {Object[]} Array of question objects in random order
+ */
+function generateBalancedQuestions(numQuestions, selectedTables, questionTypes, multiplierRange, difficulty = 'any', order = null) {
+    const multipliers = [];
+    for (let other = multiplierRange.min; other <= multiplierRange.max; other++) {
+        multipliers.push(other);
+    }
+    
+    // With a difficulty level, each multiplier's weight depends on the whole pool of facts
+    const weightedLevel = isDifficultyLevel(difficulty);
+    const pool = weightedLevel ? listFacts(selectedTables, multiplierRange) : [];
+    const poolWeights = weightedLevel ? getFactWeights(pool, difficulty) : [];
+    
+    // Share the questions evenly between tables, with any remainder going to random tables
+    const perTable = Math.floor(numQuestions / selectedTables.length);
+    const remainder = numQuestions % selectedTables.length;
+    const tablesInOrder = shuffleArray(selectedTables);
+    
+    const facts = [];
+    tablesInOrder.forEach((base, index) => {
+        const count = perTable + (index < remainder ? 1 : 0);
+        let orderedMultipliers;
+        if (weightedLevel) {
+            const tableWeights = multipliers.map(other => poolWeights[pool.findIndex(fact => fact.base === base && fact.other === other)]);
+            orderedMultipliers = weightedShuffle(multipliers, tableWeights);
+        } else {
+            orderedMultipliers = shuffleArray(multipliers);
+        }
+        orderedMultipliers.slice(0, count).forEach(other => {
+            facts.push({ base: base, other: other });
+        });
+    });
+    
+    // Mix the tables together, then share the question types out evenly
+    // (any questions left over go to randomly chosen types)
+    const shuffledFacts = shuffleArray(facts);
+    const typeOrder = shuffleArray(questionTypes);
+    const types = shuffleArray(shuffledFacts.map((fact, index) => typeOrder[index % typeOrder.length]));
+    
+    return shuffledFacts.map((fact, index) => createQuestion(types[index], fact.base, fact.other, chooseSwapFactors(types[index], order)));
+}
+
+/**
+ * Generates a single question of one of the selected types
+ * @param {number[]} selectedTables - Array of selected times table numbers
+ * @param {string[]} questionTypes - Question types to choose from
+ * @param {Object} multiplierRange - Range of the second factor, with min and max (e.g. 1 to 12)
+ * @param {string} difficulty - Key of DIFFICULTY_LEVELS, or 'any' (the default) for every fact equally likely
+ * @param {Object} order - Object with factorOrder and divisor (see chooseSwapFactors), or omitted for table first
+ * @returns {Object} Question object with type, base, other, question text, and answer
+ */
+function generateQuestion(selectedTables, questionTypes, multiplierRange, difficulty = 'any', order = null) {
+    let base;
+    let other;
+    if (isDifficultyLevel(difficulty)) {
+        // Pick a fact, favouring the ones that match the difficulty level
+        const facts = listFacts(selectedTables, multiplierRange);
+        ({ base, other } = pickWeighted(facts, getFactWeights(facts, difficulty)));
+    } else {
+        // Pick a random table from selected tables
+        base = pickRandom(selectedTables);
+        
+        // Pick a random number from the multiplier range
+        other = randomInt(multiplierRange.min, multiplierRange.max);
+    }
+    
+    // Pick a question type (each selected type is equally likely)
+    const type = questionTypes.length > 1 ? pickRandom(questionTypes) : questionTypes[0];
+    
+    return createQuestion(type, base, other, chooseSwapFactors(type, order));
+}
+
+/**
+ * Decides whether a question writes its fact the other way round, e.g. 8 × 7 rather than 7 × 8 on the 7× table
+ * - multiplication and word problems follow factorOrder: 'table-first', 'table-second' or 'random'
+ * - division follows divisor: 'table' (56 ÷ 7 = 8), 'other' (56 ÷ 8 = 7) or 'random'
+ * - the missing-number types are never swapped, as each one already fixes where the table goes
+ * @param {string} type - One of the types in QUESTION_TYPES
+ * @param {Object|null} order - Object with factorOrder and divisor (see getWorksheetSettings), or null for table first
+ * @returns {boolean} True if the factors should be swapped
+ */
+function chooseSwapFactors(type, order) {
+    if (!order) {
+        return false;
+    }
+    
+    let option;
+    if (type === 'division') {
+        option = order.divisor;
+    } else if (type === 'multiplication' || type === 'word-problem') {
+        option = order.factorOrder;
+    } else {
+        return false;
+    }
+    
+    // Only draw a random number when it is needed, so worksheet codes made before this option still match
+    if (option === 'random') {
+        return nextRandom() < 0.5;
+    }
+    return option === 'table-second' || option === 'other';
+}
+
+/**
+ * Checks whether a value is one of the difficulty levels in DIFFICULTY_LEVELS
+ * @param {string} difficulty - Value to check
+ * @returns {boolean} True for 'easy', 'medium', 'hard' or 'mixed'
+ */
+function isDifficultyLevel(difficulty) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTY_LEVELS, difficulty);
+}
+
+/**
+ * Rates how hard a fact is to recall
+ * The two factors are compared smallest first, so commutative pairs such as 3 × 8 and 8 × 3 rate the same
+ * - easy: anything with 0, 1, 2 or 10 as a factor (×1, ×10 and doubles), squares up to 5 × 5,
+ *         and 11 × 1 to 9 (the digit repeats)
+ * - medium: squares from 6 × 6 up, and everything that is not easy or hard
+ * - hard: both factors 6 or more, i.e. the well-known hard facts 6–9 × 6–9 and bigger ones such as 7 × 12
+ * @param {number} base - The times table the fact belongs to
+ * @param {number} other - The number the table is multiplied by
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+function getFactDifficulty(base, other) {
+    const small = Math.min(base, other);
+    const large = Math.max(base, other);
+    
+    if (small <= 2 || base === 10 || other === 10) {
+        return 'easy';
+    }
+    if (small === large) {
+        return small <= 5 ? 'easy' : 'medium';
+    }
+    if (large === 11 && small <= 9) {
+        return 'easy';
+    }
+    return small >= 6 ? 'hard' : 'medium';
+}
+
+/**
+ * Lists every fact (table × multiplier pair) in the pool
+ * @param {number[]} selectedTables - Array of selected times table numbers
+ * @param {Object} multiplierRange - Range of the second factor, with min and max
+ * @returns {Object[]} Facts as { base, other }
+ */
+function listFacts(selectedTables, multiplierRange) {
+    const facts = [];
+    selectedTables.forEach(base => {
+        for (let other = multiplierRange.min; other <= multiplierRange.max; other++) {
+            facts.push({ base: base, other: other });
+        }
+    });
+    return facts;
+}
+
+/**
+ * Works out how likely each fact is to be picked at a difficulty level
+ * The level shares the questions between easy, medium and hard facts, then each share is split
+ * evenly between the facts of that difficulty in the pool. Difficulties with no facts in the
+ * pool are left out, so the others share their questions.
+ * @param {Object[]} facts - Facts as { base, other }
+ * @param {string} difficulty - Key of DIFFICULTY_LEVELS
+ * @returns {number[]} Weight of each fact (all above 0)
+ */
+function getFactWeights(facts, difficulty) {
+    const shares = DIFFICULTY_LEVELS[difficulty].shares;
+    const ratings = facts.map(fact => getFactDifficulty(fact.base, fact.other));
+    const counts = {};
+    ratings.forEach(rating => {
+        counts[rating] = (counts[rating] || 0) + 1;
+    });
+    return ratings.map(rating => shares[rating] / counts[rating]);
+}
+
+/**
+ * Builds a question object for a fact
+ * Apart from multiplication (and multiplication word problems), the answer is always the
+ * multiplier (other), so missing-factor questions practise the same recall as the table itself.
+ * Swapped questions write the multiplier where the table would go (8 × 7, or 56 ÷ 8 = 7).
+ * Every question has the same shape whichever way round it is written: base is always the table
+ * and other the multiplier, so answer keys, presentation mode and progress tracking work unchanged.
+ * @param {string} type - One of the types in QUESTION_TYPES
+ * @param {number} base - The times table the fact belongs to
+ * @param {number} other - The number the table is multiplied by
+ * @param {boolean} swapped - Whether to write the factors the other way round (see chooseSwapFactors)
+ * @returns {Object} Question object with type, base, other, product, swapped, question text, and answer
+ */
+function createQuestion(type, base, other, swapped = false) {
+    const product = base * other;
+    
+    // "0 ÷ ______ = 7" has no answer, so ask facts with a multiplier of 0 as plain division
+    if (type === 'missing-divisor' && other === 0) {
+        type = 'division';
+    }
+    
+    // The 0× table only works as multiplication: nothing can be divided by 0, and
+    // "______ × 0 = 0" or "0 boxes with 8 eggs" have no single answer (or make no sense)
+    if (base === 0) {
+        type = 'multiplication';
+    }
+    
+    // Nothing can be divided by 0 (and "0 eggs in each box" makes no sense), so these stay table first
+    if (other === 0 && (type === 'division' || type === 'word-problem')) {
+        swapped = false;
+    }
+    
+    if (type === 'word-problem') {
+        return createWordProblem(base, other, swapped);
+    } else if (type === 'division') {
+        // Division question: (base × other) ÷ base = other
+        // Display as: (base × other) ÷ base = ______ (or ÷ other = base when swapped)
+        return {
+            type: 'division',
+            base: base,
+            other: other,
+            product: product,
+            swapped: swapped,
+            questionText: `${product} ÷ ${swapped ? other : base} = ${QUESTION_BLANK}`,
+            answer: swapped ? base : other
+        };
+    } else if (type === 'missing-first-factor') {
+        // Missing first factor: ______ × base = product
+        return {
+            type: type,
+            base: base,
+            other: other,
+            product: product,
+            swapped: false,
+            questionText: `${QUESTION_BLANK} × ${base} = ${product}`,
+            answer: other
+        };
+    } else if (type === 'missing-second-factor') {
+        // Missing second factor: base × ______ = product
+        return {
+            type: type,
+            base: base,
+            other: other,
+            product: product,
+            swapped: false,
+            questionText: `${base} × ${QUESTION_BLANK} = ${product}`,
+            answer: other
+        };
+    } else if (type === 'missing-divisor') {
+        // Missing divisor: product ÷ ______ = base
+        return {
+            type: type,
+            base: base,
+            other: other,
+            product: product,
+            swapped: false,
+            questionText: `${product} ÷ ${QUESTION_BLANK} = ${base}`,
+            answer: other
+        };
+    } else {
+        // Multiplication question: base × other = ______ (or other × base when swapped)
+        return {
+            type: 'multiplication',
+            base: base,
+            other: other,
+            product: product,
+            swapped: swapped,
+            questionText: swapped
+                ? `${other} × ${base} = ${QUESTION_BLANK}`
+                : `${base} × ${other} = ${QUESTION_BLANK}`,
+            answer: product
+        };
+    }
+}
+
+/**
+ * Builds a word problem for a fact, with a random name and context
+ * Picks one of three kinds, all with the answer blank at the end:
+ * - multiplication: Amir has 7 boxes with 8 eggs in each box. How many eggs does Amir have altogether?
+ * - grouping:       Amir has 56 eggs and puts 7 in each box. How many boxes does Amir fill?
+ * - sharing:        Amir shares 56 eggs equally between 7 boxes. How many eggs go in each box?
+ * Swapped problems use the table for the items instead of the groups (8 boxes with 7 eggs in each box)
+ * @param {number} base - The times table the fact belongs to
+ * @param {number} other - The number the table is multiplied by
+ * @param {boolean} swapped - Whether to swap the number of groups and the number in each group
+ * @returns {Object} Question object with type 'word-problem' and kind
+ */
+function createWordProblem(base, other, swapped = false) {
+    const product = base * other;
+    const groupCount = swapped ? other : base;
+    const groupSize = swapped ? base : other;
+    const name = pickRandom(WORD_PROBLEM_NAMES);
+    const context = pickRandom(WORD_PROBLEM_CONTEXTS);
+    const kind = pickRandom(['multiplication', 'grouping', 'sharing']);
+    
+    // "1 box" but "2 boxes" (and "0 boxes")
+    const groups = count => `${count} ${count === 1 ? context.group : context.groups}`;
+    const items = count => `${count} ${count === 1 ? context.item : context.items}`;
+    
+    let text;
+    let answer;
+    if (kind === 'multiplication') {
+        text = `${name} has ${groups(groupCount)} with ${items(groupSize)} ${context.preposition} each ${context.group}. How many ${context.items} does ${name} have altogether?`;
+        answer = product;
+    } else if (kind === 'grouping') {
+        text = `${name} has ${items(product)} and puts ${groupCount} ${context.preposition} each ${context.group}. How many ${context.groups} does ${name} fill?`;
+        answer = groupSize;
+    } else {
+        text = `${name} shares ${items(product)} equally between ${groups(groupCount)}. How many ${context.items} go ${context.preposition} each ${context.group}?`;
+        answer = groupSize;
+    }
+    
+    return {
+        type: 'word-problem',
+        kind: kind,
+        base: base,
+        other: other,
+        product: product,
+        swapped: swapped,
+        questionText: `${text} ${QUESTION_BLANK}`,
+        answer: answer
+    };
+}
+
+/**
+ * Splits question text around the blank
+ * @param {Object} question - Question object
+ * @returns {Object} Object with before and after (text either side of the blank)
+ */
+function splitQuestionText(question) {
+    const blankIndex = question.questionText.indexOf(QUESTION_BLANK);
+    if (blankIndex === -1) {
+        // No blank: the answer goes at the end
+        return { before: `${question.questionText} `, after: '' };
+    }
+    return {
+        before: question.questionText.substring(0, blankIndex),
+        after: question.questionText.substring(blankIndex + QUESTION_BLANK.length)
+    };
+}
+
+/**
+ * Picks a random element from an array
+ * @param {Array} array - The array to pick from
+ * @returns {*} A random element from the array
+ */
+function pickRandom(array) {
+    return array[Math.floor(nextRandom() * array.length)];
+}
+
+/**
+ * Picks an element from an array, each with a chance in proportion to its weight
+ * @param {Array} array - The array to pick from
+ * @param {number[]} weights - Weight of each element
+ * @returns {*} The chosen element
+ */
+function pickWeighted(array, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let target = nextRandom() * totalWeight;
+    for (let i = 0; i < array.length; i++) {
+        target -= weights[i];
+        if (target < 0) {
+            return array[i];
+        }
+    }
+    return array[array.length - 1];
+}
+
+/**
+ * Returns a copy of an array in random order, with heavier elements more likely to come first
+ * (weighted sampling without replacement: each element is sorted by random^(1 / weight))
+ * @param {Array} array - The array to shuffle (left unchanged)
+ * @param {number[]} weights - Weight of each element (all above 0)
+ * @returns {Array} New array with the same elements
+ */
+function weightedShuffle(array, weights) {
+    return array
+        .map((item, index) => ({ item: item, key: Math.pow(nextRandom(), 1 / weights[index]) }))
+        .sort((a, b) => b.key - a.key)
+        .map(entry => entry.item);
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates shuffle)
+ * @param {Array} array - The array to shuffle (left unchanged)
+ * @returns {Array} New array with the same elements in random order
+ */
+function shuffleArray(array) {
+    const shuffled = array.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(nextRandom() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Generates a random integer between min and max (inclusive)
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Random integer
+ */
+function randomInt(min, max) {
+    return Math.floor(nextRandom() * (max - min + 1)) + min;
+}
+
+/**
+ * Generates a multiplication grid (times table square) with some cells blanked out
+ * Rows are the selected tables and columns are the multiplier range
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
+ * @returns {Object} Grid with rowHeaders, columnHeaders, cells (rows of { answer, blank })
+ *                   and blankCount
+ */
+function generateGrid(settings) {
+    let rowHeaders = settings.tables.slice();
+    let columnHeaders = [];
+    for (let multiplier = settings.multiplierMin; multiplier <= settings.multiplierMax; multiplier++) {
+        columnHeaders.push(multiplier);
+    }
+    
+    // Shuffled headers stop children reading the answers off by counting along
+    if (settings.gridShuffleHeaders) {
+        rowHeaders = shuffleArray(rowHeaders);
+        columnHeaders = shuffleArray(columnHeaders);
+    }
+    
+    // Blank out the requested share of cells, chosen at random
+    // (favouring facts of the chosen difficulty, if there is one)
+    const cellCount = rowHeaders.length * columnHeaders.length;
+    const blankCount = Math.round(cellCount * settings.gridBlankPercent / 100);
+    const cellIndexes = Array.from({ length: cellCount }, (_, index) => index);
+    let orderedIndexes;
+    if (isDifficultyLevel(settings.difficulty)) {
+        const cellFacts = cellIndexes.map(index => ({
+            base: rowHeaders[Math.floor(index / columnHeaders.length)],
+            other: columnHeaders[index % columnHeaders.length]
+        }));
+        orderedIndexes = weightedShuffle(cellIndexes, getFactWeights(cellFacts, settings.difficulty));
+    } else {
+        orderedIndexes = shuffleArray(cellIndexes);
+    }
+    const blankIndexes = new Set(orderedIndexes.slice(0, blankCount));
+    
+    const cells = rowHeaders.map((row, rowIndex) => columnHeaders.map((column, columnIndex) => ({
+        answer: row * column,
+        blank: blankIndexes.has(rowIndex * columnHeaders.length + columnIndex)
+    })));
+    
+    return {
+        rowHeaders: rowHeaders,
+        columnHeaders: columnHeaders,
+        cells: cells,
+        blankCount: blankCount
+    };
+}
+
+/**
+ * Lists the blanked-out cells of a grid as multiplication questions
+ * so presentation mode shows the same facts as the grid PDF
+ * @param {Object} grid - Grid from generateGrid()
+ * @returns {Object[]} Array of question objects
+ */
+function getGridQuestions(grid) {
+    const questions = [];
+    grid.cells.forEach((row, rowIndex) => {
+        row.forEach((cell, columnIndex) => {
+            if (cell.blank) {
+                questions.push(createQuestion('multiplication', grid.rowHeaders[rowIndex], grid.columnHeaders[columnIndex]));
+            }
+        });
+    });
+    return questions;
+}
+
+/* ============================================
+   Worksheet Codes (Seeded Randomness)
+   ============================================ */
+
+/**
+ * Worksheet codes are short strings that seed the random number generator,
+ * so the same code with the same settings always rebuilds the same questions.
+ * The alphabet leaves out 0/O and 1/I so codes are easy to read back off paper.
+ */
+const WORKSHEET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const WORKSHEET_CODE_LENGTH = 6;
+
+// Random number generator used for question generation (seeded per worksheet)
+let worksheetRandom = Math.random;
+
+/**
+ * Returns the next random number from the current worksheet generator
+ * @returns {number} Random number in the range [0, 1)
+ */
+function nextRandom() {
+    return worksheetRandom();
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence of numbers
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning numbers in the range [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates a new random worksheet code, e.g. "K7P3QX"
+ * Uses Math.random directly - the code itself does not need to be reproducible
+ * @returns {string} New worksheet code
+ */
+function generateWorksheetCode() {
+    let code = '';
+    for (let i = 0; i < WORKSHEET_CODE_LENGTH; i++) {
+        code += WORKSHEET_CODE_ALPHABET[Math.floor(Math.random() * WORKSHEET_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Normalizes a typed-in worksheet code
+ * Ignores case, spaces and dashes so "k7p-3qx" matches "K7P3QX"
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Normalized code
+ */
+function normalizeWorksheetCode(code) {
+    return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Checks that a normalized code has the right length and characters
+ * @param {string} code - Normalized worksheet code
+ * @returns {boolean} True if the code can be used as a seed
+ */
+function isValidWorksheetCode(code) {
+    if (code.length !== WORKSHEET_CODE_LENGTH) {
+        return false;
+    }
+    return Array.from(code).every(char => WORKSHEET_CODE_ALPHABET.includes(char));
+}
+
+/**
+ * Converts a worksheet code into a numeric seed
+ * Each character is a base-32 digit, so every code maps to a unique seed
+ * @param {string} code - Valid, normalized worksheet code
+ * @returns {number} 32-bit integer seed
+ */
+function worksheetCodeToSeed(code) {
+    let seed = 0;
+    for (const char of code) {
+        seed = (seed * WORKSHEET_CODE_ALPHABET.length + WORKSHEET_CODE_ALPHABET.indexOf(char)) >>> 0;
+    }
+    return seed;
+}
+
+/**
+ * Reads the worksheet code typed into the code field
+ * @returns {string} Normalized code, or an empty string if the field is blank
+ */
+function getEnteredWorksheetCode() {
+    return normalizeWorksheetCode(document.getElementById('worksheetCode').value);
+}
+
+/**
+ * Seeds the question generator for a new worksheet
+ * Uses the code typed into the code field if there is one, otherwise a fresh code
+ * Call after validateInputs() so an entered code is known to be valid
+ * @returns {string} The worksheet code in use
+ */
+function prepareWorksheetCode() {
+    const code = getEnteredWorksheetCode() || generateWorksheetCode();
+    worksheetRandom = createSeededRandom(worksheetCodeToSeed(code));
+    currentWorksheetCode = code;
+    updateWorksheetCodeDisplay();
+    return code;
+}
+
+/**
+ * Shows the current worksheet code under the action buttons
+ */
+function updateWorksheetCodeDisplay() {
+    const display = document.getElementById('worksheetCodeDisplay');
+    if (!display || !currentWorksheetCode) {
+        return;
+    }
+    document.getElementById('worksheetCodeValue').textContent = currentWorksheetCode;
+    display.style.display = 'block';
+}
+
+/* ============================================
+   Rendering
+   ============================================ */
+
+/**
+ * Gets the page dimensions for a paper size and orientation
+ * @param {string} paperSize - Key of PDF_PAPER_SIZES ('a4', 'a5', 'letter' or 'legal')
+ * @param {string} orientation - 'portrait' or 'landscape'
+ * @returns {Object} Object with width, height and margin in mm
+ */
+function getPdfPageSize(paperSize, orientation) {
+    const paper = PDF_PAPER_SIZES[paperSize] || PDF_PAPER_SIZES.a4;
+    const isLandscape = orientation === 'landscape';
+    return {
+        width: isLandscape ? paper.height : paper.width,
+        height: isLandscape ? paper.width : paper.height,
+        margin: paper.margin
+    };
+}
+
+/**
+ * Gets the top of the PDF content area: below the title and, if included, the student header block
+ * @param {number} margin - Page margin in mm
+ * @param {boolean} includeHeader - Whether the page has the student header block
+ * @param {number} titleExtraHeight - Extra height (mm) taken by a wrapped title or instruction line
+ * @returns {number} Y position in mm
+ */
+function getPdfContentTop(margin, includeHeader, titleExtraHeight = 0) {
+    const titleY = margin + 8;
+    const titleHeight = 12;
+    const titleGap = 5;
+    // The student header block pushes the content down the page
+    const headerHeight = includeHeader ? PDF_HEADER_HEIGHT : 0;
+    return titleY + titleHeight + titleExtraHeight + titleGap + headerHeight;
+}
+
+/**
+ * Systematically calculates optimal layout for any question count from 1 to 99
+ * Font size decreases as question count increases
+ * Column count increases as question count increases
+ * @param {number} questionCount - Number of questions (1-99)
+ * @param {boolean} includeHeader - Whether the PDF has the student header block under the title
+ * @param {Object} pageSize - Page width, height and margin in mm (see getPdfPageSize), defaults to A4 portrait
+ * @param {number} titleExtraHeight - Extra height (mm) taken by a wrapped title or instruction line
+ * @param {number} widestQuestion - Width (mm) of the widest question at a 1pt font size, or 0 to ignore
+ *                                  question widths (see measureWidestPdfQuestion)
+ * @param {number} lineSpacing - Extra space between lines, as a multiple of the usual spacing (see READING_STYLES)
+ * @returns {Object} Object with columns, fontSize, lineHeight and startY (top of the questions in mm)
+ */
+function calculateOptimalLayout(questionCount, includeHeader = false, pageSize = getPdfPageSize('a4', 'portrait'), titleExtraHeight = 0, widestQuestion = 0, lineSpacing = 1) {
+    const pageHeight = pageSize.height;
+    const pageWidth = pageSize.width;
+    const margin = pageSize.margin;
+    const startY = getPdfContentTop(margin, includeHeader, titleExtraHeight);
+    const maxY = pageHeight - margin;
+    const usableHeight = maxY - startY; // ~247mm on A4 portrait (~231mm with the header)
+    const usableWidth = pageWidth - (margin * 2); // ~180mm on A4 portrait
+    
     // Step 1: Determine optimal column count based on question count
     // This is systematic: fewer questions = fewer columns, more questions = more columns
     let columns;
@@ -429,6 +1592,16 @@ function calculateOptimalLayout(questionCount) {
         }
     }
     
+    // Step 1b: On short pages (landscape) add columns while the rows would be too cramped,
+    // as long as each column stays wide enough for a question like "99) 144 ÷ 12 = ______"
+    const minLineHeight = 5;
+    const minColumnWidth = 40;
+    const columnGap = 5;
+    while (usableHeight / Math.ceil(questionCount / columns) < minLineHeight &&
+        (usableWidth - columns * columnGap) / (columns + 1) >= minColumnWidth) {
+        columns++;
+    }
+    
     // Step 2: Calculate questions per column
     const questionsPerColumn = Math.ceil(questionCount / columns);
     
@@ -444,8 +1617,10 @@ function calculateOptimalLayout(questionCount) {
     
     // Calculate base font size using inverse relationship
     // Range: 1 question = ~20mm, 99 questions = ~9.5mm
-    const minFontSize = 9.5;  // Minimum readable font size
-    const maxFontSize = 20;    // Maximum font size for single question
+    // Narrower pages than A4 portrait (e.g. A5) scale the whole range down so questions still fit
+    const widthScale = Math.min(1, usableWidth / 180);
+    const minFontSize = 9.5 * widthScale;  // Minimum readable font size
+    const maxFontSize = 20 * widthScale;    // Maximum font size for single question
     const fontRange = maxFontSize - minFontSize; // 10.5mm range
     
     // Inverse scaling: font size decreases as question count increases
@@ -454,13 +1629,22 @@ function calculateOptimalLayout(questionCount) {
     const fontSize = maxFontSize - (fontRange * Math.pow(normalizedCount, 0.7));
     
     // Step 5: Adjust font size based on available line height
-    // Font should not exceed ~85% of line height for readability
-    const maxFontFromLineHeight = lineHeight * 0.85;
+    // Font should not exceed ~85% of line height for readability (less with extra line spacing)
+    const maxFontFromLineHeight = lineHeight * 0.85 / lineSpacing;
     const finalFontSize = Math.min(fontSize, maxFontFromLineHeight);
     
     // Step 6: Ensure font size is within reasonable bounds
     // Minimum: 9.5mm (readable), Maximum: 20mm (not too huge)
-    const clampedFontSize = Math.max(minFontSize, Math.min(maxFontSize, finalFontSize));
+    // Short pages (e.g. A5 landscape with 99 questions) may go below the minimum so rows don't
+    // overlap - the text must fit in the line height (font size is in points: 1pt = 0.3528mm)
+    const lowestFontSize = Math.min(minFontSize, lineHeight * 0.85 / lineSpacing / 0.3528);
+    const clampedFontSize = Math.max(lowestFontSize, Math.min(maxFontSize, finalFontSize));
+    
+    // Step 6b: Shrink the font if the widest question would not fit across its column (such as
+    // "40)  13986 ÷ ______ = 999" with custom tables), down to 6pt - anything wider still wraps
+    const columnWidth = (usableWidth - (columns - 1) * columnGap) / columns;
+    const widthFontSize = widestQuestion > 0 ? Math.floor((columnWidth - 8) / widestQuestion * 10) / 10 : Infinity;
+    const fittedFontSize = Math.min(clampedFontSize, Math.max(6, widthFontSize));
     
     // Step 7: For very small question counts, ensure minimum line height
     // This prevents questions from being too cramped
@@ -473,8 +1657,9 @@ function calculateOptimalLayout(questionCount) {
     
     return {
         columns: columns,
-        fontSize: Math.round(clampedFontSize * 10) / 10, // Round to 1 decimal
-        lineHeight: Math.round(finalLineHeight * 10) / 10
+        fontSize: Math.round(fittedFontSize * 10) / 10, // Round to 1 decimal
+        lineHeight: Math.round(finalLineHeight * 10) / 10,
+        startY: startY
     };
 }
 
@@ -518,893 +1703,4452 @@ function renderAnswers(questions) {
     questions.forEach((question, index) => {
         const listItem = document.createElement('li');
         // Show question with answer: "7 × 4 = 28" or "28 ÷ 7 = 4"
-        listItem.textContent = `${question.questionText.replace('______', question.answer)}`;
+        listItem.textContent = `${question.questionText.replace(QUESTION_BLANK, question.answer)}`;
         answersList.appendChild(listItem);
     });
 }
 
 /* ============================================
-   Event Handlers
+   Settings & Shareable Links
    ============================================ */
 
 /**
- * Handles the Present worksheet button click
- * Generates worksheet and opens presentation mode
+ * Reads the current generator settings from the form
+ * @returns {Object} Settings object with numQuestions, tables, multiplierMin, multiplierMax,
+ *                   questionTypes, distribution, sequence, wholeTable, tableHeadings,
+ *                   difficulty, factorOrder, divisor, versions,
+ *                   answerKeyPlacement, includeHeader,
+ *                   paperSize, orientation, worksheetType, gridBlankPercent, gridShuffleHeaders,
+ *                   title, instructions, readingStyle and colorScheme
  */
-function handleGenerate() {
-    generateWorksheet();
-    // Open presentation mode with the generated questions
-    if (currentQuestions.length > 0) {
-        openPresentationMode();
-    }
+function getWorksheetSettings() {
+    const multiplierRange = getMultiplierRange();
+    return {
+        numQuestions: parseInt(document.getElementById('numQuestions').value, 10),
+        tables: getSelectedTables(),
+        multiplierMin: multiplierRange.min,
+        multiplierMax: multiplierRange.max,
+        questionTypes: getSelectedQuestionTypes(),
+        distribution: document.getElementById('distributionMode').value,
+        sequence: document.getElementById('questionSequence').value,
+        wholeTable: document.getElementById('wholeTable').checked,
+        tableHeadings: document.getElementById('tableHeadings').checked,
+        difficulty: document.getElementById('difficulty').value,
+        factorOrder: document.getElementById('factorOrder').value,
+        divisor: document.getElementById('divisorChoice').value,
+        versions: parseWholeNumber(document.getElementById('numVersions').value),
+        answerKeyPlacement: document.getElementById('answerKeyPlacement').value,
+        includeHeader: document.getElementById('includeHeader').checked,
+        paperSize: document.getElementById('paperSize').value,
+        orientation: document.getElementById('orientation').value,
+        worksheetType: document.getElementById('worksheetType').value,
+        gridBlankPercent: parseWholeNumber(document.getElementById('gridBlankPercent').value),
+        gridShuffleHeaders: document.getElementById('gridShuffleHeaders').checked,
+        title: document.getElementById('worksheetTitle').value.trim(),
+        instructions: document.getElementById('worksheetInstructions').value.trim(),
+        readingStyle: document.getElementById('readingStyle').value,
+        colorScheme: document.getElementById('colorScheme').value
+    };
 }
 
 /**
- * Handles the Download worksheet as PDF button click
- * Generates a fresh worksheet and downloads it as PDF
- * Works independently - doesn't require the Display button to be clicked first
+ * Applies settings to the form
+ * Only the properties present on the settings object are changed
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
  */
-function handleDownload() {
-    // Validate inputs first
-    if (!validateInputs()) {
-        return;
+function applyWorksheetSettings(settings) {
+    if (settings.numQuestions !== undefined) {
+        const slider = document.getElementById('numQuestions');
+        slider.value = settings.numQuestions;
+        document.getElementById('numQuestionsValue').textContent = slider.value;
     }
     
-    // Get user settings
-    const numQuestions = parseInt(document.getElementById('numQuestions').value, 10);
-    const selectedTables = getSelectedTables();
-    const includeDivision = document.getElementById('includeDivision').checked;
+    if (settings.tables !== undefined) {
+        const labels = document.querySelectorAll('#tablesGrid .checkbox-label');
+        labels.forEach(label => {
+            const checkbox = label.querySelector('.checkbox-input');
+            checkbox.checked = settings.tables.includes(parseInt(checkbox.value, 10));
+            label.classList.toggle('checkbox-checked', checkbox.checked);
+        });
+        setCustomTables(settings.tables.filter(table => !isGridTable(table)));
+    }
     
-    // Generate fresh questions for the PDF
-    const pdfQuestions = [];
-    for (let i = 0; i < numQuestions; i++) {
-        const question = generateQuestion(selectedTables, includeDivision);
-        pdfQuestions.push(question);
+    if (settings.multiplierMin !== undefined) {
+        document.getElementById('multiplierMin').value = settings.multiplierMin;
     }
     
-    // Also update the displayed worksheet with these questions (for presentation mode only)
-    currentQuestions = pdfQuestions;
-    renderWorksheet(pdfQuestions);
-    renderAnswers(pdfQuestions);
+    if (settings.multiplierMax !== undefined) {
+        document.getElementById('multiplierMax').value = settings.multiplierMax;
+    }
     
-    // Sections remain hidden - only presentation mode shows content
+    if (settings.questionTypes !== undefined) {
+        QUESTION_TYPES.forEach(questionType => {
+            document.getElementById(questionType.inputId).checked = settings.questionTypes.includes(questionType.type);
+        });
+    }
     
-    // Generate and download the PDF
-    downloadWorksheetPdf(pdfQuestions);
-}
-
-/* ============================================
-   PDF Generation
-   ============================================ */
-
-/**
- * Generates and downloads a PDF of the worksheet
- * Uses jsPDF library to create an A4 portrait PDF
- * Creates two pages: first with blanks, second with answers in red
- * Dynamically adjusts columns and font size to fit on one page
- * @param {Object[]} questions - Array of question objects
- */
-function downloadWorksheetPdf(questions) {
-    // Access jsPDF from the global scope (loaded from CDN)
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({
-        orientation: 'portrait',
-        unit: 'mm',
-        format: 'a4'
-    });
+    if (settings.distribution !== undefined) {
+        document.getElementById('distributionMode').value = settings.distribution;
+    }
     
-    // Calculate optimal layout
-    const layout = calculateOptimalLayout(questions.length);
+    if (settings.sequence !== undefined) {
+        document.getElementById('questionSequence').value = settings.sequence;
+    }
     
-    // Set up page dimensions
-    const pageWidth = doc.internal.pageSize.getWidth(); // 210mm
-    const pageHeight = doc.internal.pageSize.getHeight(); // 297mm
-    const margin = 15;
-    const usableWidth = pageWidth - (margin * 2);
+    if (settings.wholeTable !== undefined) {
+        document.getElementById('wholeTable').checked = settings.wholeTable;
+    }
     
-    // Calculate column width
-    const columnWidth = (usableWidth - (layout.columns - 1) * 5) / layout.columns; // 5mm gap between columns
-    const columnGap = 5;
+    if (settings.tableHeadings !== undefined) {
+        document.getElementById('tableHeadings').checked = settings.tableHeadings;
+    }
     
-    // Starting position after title
-    const titleY = margin + 8;
-    const titleHeight = 12;
-    let startY = titleY + titleHeight + 5; // Start after title with small gap
-    const maxY = pageHeight - margin;
+    if (settings.sequence !== undefined || settings.wholeTable !== undefined) {
+        updateSequenceOptions();
+    }
     
-    // Calculate questions per column
-    const questionsPerColumn = Math.ceil(questions.length / layout.columns);
-    const lineSpacing = layout.lineHeight;
+    if (settings.difficulty !== undefined) {
+        document.getElementById('difficulty').value = settings.difficulty;
+    }
     
-    // Render first page (with blanks)
-    renderPdfPage(doc, questions, layout, pageWidth, pageHeight, margin, columnWidth, columnGap, startY, maxY, questionsPerColumn, lineSpacing, false);
+    if (settings.factorOrder !== undefined) {
+        document.getElementById('factorOrder').value = settings.factorOrder;
+    }
     
-    // Add second page with answers
-    doc.addPage();
-    renderPdfPage(doc, questions, layout, pageWidth, pageHeight, margin, columnWidth, columnGap, startY, maxY, questionsPerColumn, lineSpacing, true);
+    if (settings.divisor !== undefined) {
+        document.getElementById('divisorChoice').value = settings.divisor;
+    }
     
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `times-table-worksheet-${timestamp}.pdf`;
+    if (settings.versions !== undefined) {
+        document.getElementById('numVersions').value = settings.versions;
+    }
     
-    // Download the PDF
-    doc.save(filename);
-}
-
-/**
- * Renders a single page of the PDF worksheet
- * @param {Object} doc - jsPDF document instance
- * @param {Object[]} questions - Array of question objects
- * @param {Object} layout - Layout configuration object
- * @param {number} pageWidth - Page width in mm
- * @param {number} pageHeight - Page height in mm
- * @param {number} margin - Page margin in mm
- * @param {number} columnWidth - Width of each column in mm
- * @param {number} columnGap - Gap between columns in mm
- * @param {number} startY - Starting Y position after title
- * @param {number} maxY - Maximum Y position before footer
- * @param {number} questionsPerColumn - Number of questions per column
- * @param {number} lineSpacing - Spacing between lines
- * @param {boolean} showAnswers - Whether to show answers (true) or blanks (false)
- */
-function renderPdfPage(doc, questions, layout, pageWidth, pageHeight, margin, columnWidth, columnGap, startY, maxY, questionsPerColumn, lineSpacing, showAnswers) {
-    // Title
-    doc.setFontSize(20);
-    doc.setFont(undefined, 'bold');
-    const titleText = showAnswers ? 'Timestable worksheet - Answer key' : 'Timestable worksheet';
-    doc.text(titleText, pageWidth / 2, margin + 8, { align: 'center' });
+    if (settings.answerKeyPlacement !== undefined) {
+        document.getElementById('answerKeyPlacement').value = settings.answerKeyPlacement;
+    }
     
-    // Set font for questions
-    doc.setFontSize(layout.fontSize);
-    doc.setFont(undefined, 'normal');
+    if (settings.includeHeader !== undefined) {
+        document.getElementById('includeHeader').checked = settings.includeHeader;
+    }
     
-    // Distribute questions across columns
-    for (let col = 0; col < layout.columns; col++) {
-        const columnX = margin + col * (columnWidth + columnGap);
-        let yPosition = startY;
-        
-        // Get questions for this column
-        for (let i = 0; i < questionsPerColumn; i++) {
-            const questionIndex = col * questionsPerColumn + i;
-            
-            // Stop if we've processed all questions
-            if (questionIndex >= questions.length) {
-                break;
-            }
-            
-            // Check if we would overflow
-            if (yPosition > maxY - lineSpacing) {
-                break;
-            }
-            
-            const question = questions[questionIndex];
-            const questionNumber = questionIndex + 1;
-            const spacing = questionNumber >= 10 ? '  ' : ' '; // Extra space for double digits
-            
-            let questionText;
-            let answerValue = null;
-            
-            if (showAnswers) {
-                // Replace blank with answer - we'll color the answer separately
-                const questionPart = question.questionText.replace('______', '');
-                questionText = `${questionNumber})${spacing}${questionPart}${question.answer}`;
-                answerValue = String(question.answer);
-            } else {
-                // Keep the blank
-                questionText = `${questionNumber})${spacing}${question.questionText}`;
-            }
-            
-            // Split text if too long for column
-            const maxWidth = columnWidth - 8; // Leave small padding
-            const lines = doc.splitTextToSize(questionText, maxWidth);
-            
-            // Draw each line using the exact line spacing
-            lines.forEach((line, lineIndex) => {
-                if (yPosition > maxY - lineSpacing) {
-                    return; // Skip if would overflow
-                }
-                
-                // If showing answers and this is the last line, color the answer red
-                if (showAnswers && answerValue && lineIndex === lines.length - 1 && line.includes(answerValue)) {
-                    // Find the position of the answer in the line
-                    const answerIndex = line.lastIndexOf(answerValue);
-                    if (answerIndex !== -1) {
-                        const beforeAnswer = line.substring(0, answerIndex);
-                        const answer = line.substring(answerIndex);
-                        
-                        // Draw text before answer in black
-                        doc.setTextColor(0, 0, 0); // Black
-                        if (beforeAnswer) {
-                            doc.text(beforeAnswer, columnX, yPosition);
-                        }
-                        
-                        // Calculate position for answer
-                        const beforeAnswerWidth = beforeAnswer ? doc.getTextWidth(beforeAnswer) : 0;
-                        const answerX = columnX + beforeAnswerWidth;
-                        
-                        // Draw answer in red
-                        doc.setTextColor(211, 47, 47); // Red color (#d32f2f)
-                        doc.text(answer, answerX, yPosition);
-                    } else {
-                        // Fallback: draw entire line in black
-                        doc.setTextColor(0, 0, 0);
-                        doc.text(line, columnX, yPosition);
-                    }
-                } else {
-                    // Draw line in black
-                    doc.setTextColor(0, 0, 0);
-                    doc.text(line, columnX, yPosition);
-                }
-                
-                // Only advance if not the last line of the question
-                if (lineIndex < lines.length - 1) {
-                    yPosition += lineSpacing * 0.6; // Smaller spacing for wrapped lines
-                }
-            });
-            
-            // Move to next question position
-            yPosition += lineSpacing;
-        }
+    if (settings.paperSize !== undefined) {
+        document.getElementById('paperSize').value = settings.paperSize;
     }
     
-    // Add footer at the bottom of the page
-    doc.setFontSize(8);
-    doc.setFont(undefined, 'normal');
-    doc.setTextColor(100, 100, 100); // Gray color for subtle footer
-    doc.text('timestableworksheet.co.uk', pageWidth / 2, pageHeight - 8, { align: 'center' });
+    if (settings.orientation !== undefined) {
+        document.getElementById('orientation').value = settings.orientation;
+    }
+    
+    if (settings.worksheetType !== undefined) {
+        document.getElementById('worksheetType').value = settings.worksheetType;
+        updateGridOptionsVisibility();
+    }
+    
+    if (settings.gridBlankPercent !== undefined) {
+        document.getElementById('gridBlankPercent').value = settings.gridBlankPercent;
+    }
+    
+    if (settings.gridShuffleHeaders !== undefined) {
+        document.getElementById('gridShuffleHeaders').checked = settings.gridShuffleHeaders;
+    }
+    
+    if (settings.title !== undefined) {
+        document.getElementById('worksheetTitle').value = settings.title;
+    }
+    
+    if (settings.instructions !== undefined) {
+        document.getElementById('worksheetInstructions').value = settings.instructions;
+    }
+    
+    if (settings.readingStyle !== undefined) {
+        document.getElementById('readingStyle').value = settings.readingStyle;
+    }
+    
+    if (settings.colorScheme !== undefined) {
+        document.getElementById('colorScheme').value = settings.colorScheme;
+    }
 }
 
-/* ============================================
-   Presentation Mode
-   ============================================ */
-
-// Global state for presentation mode
-let presentationAnswersVisible = false;
-let presentationResizeHandler = null; // Store resize handler for cleanup
-let presentationKeyboardHandler = null; // Store keyboard handler for cleanup
-let helpTooltipAutoShowTimeout = null; // Store auto-show timeout for cleanup
-let helpTooltipClickOutsideHandler = null; // Store click outside handler for cleanup
-let presentationFontSizeMultiplier = 1.0; // User-controlled font size multiplier (default: 1.0 = 100%)
-let presentationFontWeight = 'normal'; // User-controlled font weight (default: 'normal')
-
-/* ============================================
-   Presentation Mode Layout Calculation
-   ============================================ */
-
 /**
- * Presentation Layout Constants
- * 
- * Location: app.js lines ~552-570
- * 
- * Adjust these constants to tweak the presentation layout behavior:
- * - PRESENTATION_MIN_FONT_PX: Minimum font size (never go below this, default: 18)
- * - PRESENTATION_MAX_FONT_PX: Maximum font size (default: 44)
- * 
- * Font size tiers are defined in calculatePresentationLayout() based on question count:
- * - <= 12 questions: 3 columns, 40px font
- * - 13-24 questions: 4 columns, 32px font
- * - 25-40 questions: 4 columns, 26px font
- * - 41-60 questions: 5 columns, 22px font
- * - > 60 questions: 5 columns, 18px font
+ * Shows the grid options only when the multiplication grid layout is chosen
  */
-const PRESENTATION_MIN_FONT_PX = 18;
-const PRESENTATION_MAX_FONT_PX = 44;
+function updateGridOptionsVisibility() {
+    document.getElementById('gridOptions').hidden = document.getElementById('worksheetType').value !== 'grid';
+}
 
 /**
- * Updates presentation mode column count based on question count
- * Only affects presentation mode, not normal worksheet or PDF
- * 
- * @param {number} questionCount - Number of questions to display
- * @returns {number} Column count (3, 4, or 5)
+ * Shows the whole table and heading options only when questions go through the tables in order
+ * Whole tables set the number of questions themselves, so the slider is turned off for them
  */
-function updatePresentationColumns(questionCount) {
-    if (questionCount >= 1 && questionCount <= 9) {
-        return 3;
-    } else if (questionCount >= 10 && questionCount <= 20) {
-        return 4;
-    } else if (questionCount >= 21 && questionCount <= 40) {
-        return 5;
-    } else {
-        // 40+ questions: 5 columns with wrapping
-        return 5;
-    }
+function updateSequenceOptions() {
+    const isSequential = SEQUENTIAL_ORDERS.includes(document.getElementById('questionSequence').value);
+    document.getElementById('sequenceOptions').hidden = !isSequential;
+    document.getElementById('numQuestions').disabled = isSequential && document.getElementById('wholeTable').checked;
 }
 
 /**
- * Calculates optimal columns and font size for presentation mode
- * Font size is primarily driven by question count, with simple tiers
- * 
- * Location: app.js lines ~572-620
- * 
- * Never goes below PRESENTATION_MIN_FONT_PX. If questions don't fit,
- * allows scrolling instead of shrinking font further.
- * 
- * @param {number} questionCount - Number of questions to display
- * @returns {Object} Object with columns and fontSizePx
+ * Formats a list of tables compactly for a URL, e.g. [2, 3, 4, 5, 10] → "2-5,10"
+ * @param {number[]} tables - Sorted array of table numbers
+ * @returns {string} Comma-separated list of numbers and ranges
  */
-function calculatePresentationLayout(questionCount) {
-    let fontSize;
-
-    // Get column count from the new responsive function
-    const columns = updatePresentationColumns(questionCount);
-
-    // Font size tiers based on question count
-    if (questionCount <= 12) {
-        // Small sets: very large text
-        fontSize = 40;
-    } else if (questionCount <= 24) {
-        // Medium-small sets: large text
-        fontSize = 32;
-    } else if (questionCount <= 40) {
-        // Medium sets: medium text
-        fontSize = 26;
-    } else if (questionCount <= 60) {
-        // Medium-large sets: smaller but readable
-        fontSize = 22;
-    } else {
-        // Large sets: small but legible
-        fontSize = 18;
+function formatTableList(tables) {
+    const parts = [];
+    let i = 0;
+    while (i < tables.length) {
+        let end = i;
+        while (end + 1 < tables.length && tables[end + 1] === tables[end] + 1) {
+            end++;
+        }
+        parts.push(end > i ? `${tables[i]}-${tables[end]}` : `${tables[i]}`);
+        i = end + 1;
     }
+    return parts.join(',');
+}
 
-    // Clamp font size in case of very small screens
-    // Use viewport height as a constraint, but don't let it drive the size
-    const maxAllowed = Math.min(PRESENTATION_MAX_FONT_PX, window.innerHeight / 18);
-    fontSize = Math.max(PRESENTATION_MIN_FONT_PX, Math.min(fontSize, maxAllowed));
-
-    return {
-        columns: columns,
-        fontSizePx: Math.round(fontSize)
-    };
+/**
+ * Parses a table list written by formatTableList()
+ * Ignores anything that is not a number or range, repeats and tables above CUSTOM_TABLE_HIGHEST
+ * @param {string} text - List such as "0,2-5,10,25"
+ * @returns {number[]} Array of table numbers
+ */
+function parseTableList(text) {
+    const tables = [];
+    text.split(',').forEach(part => {
+        const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            return;
+        }
+        const start = parseInt(match[1], 10);
+        const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+        for (let table = start; table <= end && table <= CUSTOM_TABLE_HIGHEST; table++) {
+            if (!tables.includes(table)) {
+                tables.push(table);
+            }
+        }
+    });
+    return tables;
 }
 
 /**
- * Updates the presentation layout based on current questions and viewport
- * Applies CSS variables to the overlay element
+ * Builds the query string parameters for a shareable link
+ * @param {Object} settings - Settings object (see getWorksheetSettings)
+ * @param {string|null} worksheetCode - Worksheet code to include, if any
+ * @param {boolean} present - Whether the link should open presentation mode
+ * @returns {URLSearchParams} Query parameters
  */
-function updatePresentationLayout() {
-    const overlay = document.getElementById('presentationOverlay');
-    
+function encodeSettingsToQuery(settings, worksheetCode, present) {
+    const params = new URLSearchParams();
+    params.set('questions', settings.numQuestions);
+    params.set('tables', formatTableList(settings.tables));
+    if (!isNaN(settings.multiplierMin) && !isNaN(settings.multiplierMax)) {
+        params.set('multipliers', `${settings.multiplierMin}-${settings.multiplierMax}`);
+    }
+    params.set('types', settings.questionTypes.join(','));
+    params.set('mix', settings.distribution);
+    if (SEQUENTIAL_ORDERS.includes(settings.sequence)) {
+        params.set('sequence', settings.sequence);
+        if (settings.wholeTable) {
+            params.set('whole', '1');
+        }
+        if (settings.tableHeadings) {
+            params.set('headings', '1');
+        }
+    }
+    if (settings.difficulty !== 'any') {
+        params.set('level', settings.difficulty);
+    }
+    if (settings.factorOrder !== 'table-first') {
+        params.set('order', settings.factorOrder);
+    }
+    if (settings.divisor !== 'table') {
+        params.set('divisor', settings.divisor);
+    }
+    if (settings.versions > 1) {
+        params.set('versions', settings.versions);
+        params.set('keys', settings.answerKeyPlacement);
+    }
+    if (settings.includeHeader) {
+        params.set('header', '1');
+    }
+    if (settings.paperSize !== 'a4') {
+        params.set('paper', settings.paperSize);
+    }
+    if (settings.orientation !== 'portrait') {
+        params.set('orientation', settings.orientation);
+    }
+    if (settings.worksheetType === 'grid') {
+        params.set('sheet', 'grid');
+        if (!isNaN(settings.gridBlankPercent)) {
+            params.set('blanks', settings.gridBlankPercent);
+        }
+        if (settings.gridShuffleHeaders) {
+            params.set('shuffle', '1');
+        }
+    }
+    if (settings.title) {
+        params.set('title', settings.title);
+    }
+    if (settings.instructions) {
+        params.set('instructions', settings.instructions);
+    }
+    if (settings.readingStyle !== 'standard') {
+        params.set('reading', settings.readingStyle);
+    }
+    if (settings.colorScheme !== 'standard') {
+        params.set('colours', settings.colorScheme);
+    }
+    if (worksheetCode) {
+        params.set('code', worksheetCode);
+    }
+    if (present) {
+        params.set('present', '1');
+    }
+    return params;
+}
+
+/**
+ * Reads settings from a query string written by encodeSettingsToQuery()
+ * Invalid or missing values are left out so the form keeps its defaults
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Object with settings, worksheetCode and present
+ */
+function parseSettingsFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const settings = {};
+    
+    const numQuestions = parseInt(params.get('questions'), 10);
+    if (numQuestions >= 1 && numQuestions <= 99) {
+        settings.numQuestions = numQuestions;
+    }
+    
+    if (params.has('tables')) {
+        const tables = parseTableList(params.get('tables'));
+        if (tables.length > 0) {
+            settings.tables = tables;
+        }
+    }
+    
+    const multipliers = (params.get('multipliers') || '').match(/^(\d+)-(\d+)$/);
+    if (multipliers) {
+        const min = parseInt(multipliers[1], 10);
+        const max = parseInt(multipliers[2], 10);
+        if (min >= MULTIPLIER_LOWEST && max <= MULTIPLIER_HIGHEST && min <= max) {
+            settings.multiplierMin = min;
+            settings.multiplierMax = max;
+        }
+    }
+    
+    if (params.has('types')) {
+        const knownTypes = QUESTION_TYPES.map(questionType => questionType.type);
+        const questionTypes = params.get('types').split(',').filter(type => knownTypes.includes(type));
+        if (questionTypes.length > 0) {
+            settings.questionTypes = questionTypes;
+        }
+    } else if (params.has('division')) {
+        // Older links only had a division on/off switch
+        settings.questionTypes = params.get('division') === '1' ? ['multiplication', 'division'] : ['multiplication'];
+    }
+    
+    if (['random', 'balanced'].includes(params.get('mix'))) {
+        settings.distribution = params.get('mix');
+    }
+    
+    if (['shuffled'].concat(SEQUENTIAL_ORDERS).includes(params.get('sequence'))) {
+        settings.sequence = params.get('sequence');
+    }
+    
+    if (params.has('whole')) {
+        settings.wholeTable = params.get('whole') === '1';
+    }
+    
+    if (params.has('headings')) {
+        settings.tableHeadings = params.get('headings') === '1';
+    }
+    
+    if (isDifficultyLevel(params.get('level'))) {
+        settings.difficulty = params.get('level');
+    }
+    
+    if (['table-first', 'table-second', 'random'].includes(params.get('order'))) {
+        settings.factorOrder = params.get('order');
+    }
+    
+    if (['table', 'other', 'random'].includes(params.get('divisor'))) {
+        settings.divisor = params.get('divisor');
+    }
+    
+    const versions = parseWholeNumber(params.get('versions') || '');
+    if (versions >= 1 && versions <= MAX_PDF_VERSIONS) {
+        settings.versions = versions;
+    }
+    
+    if (['after-each', 'end'].includes(params.get('keys'))) {
+        settings.answerKeyPlacement = params.get('keys');
+    }
+    
+    if (params.has('header')) {
+        settings.includeHeader = params.get('header') === '1';
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(PDF_PAPER_SIZES, params.get('paper'))) {
+        settings.paperSize = params.get('paper');
+    }
+    
+    if (['portrait', 'landscape'].includes(params.get('orientation'))) {
+        settings.orientation = params.get('orientation');
+    }
+    
+    if (['questions', 'grid'].includes(params.get('sheet'))) {
+        settings.worksheetType = params.get('sheet');
+    }
+    
+    const gridBlankPercent = parseWholeNumber(params.get('blanks') || '');
+    if (gridBlankPercent >= 0 && gridBlankPercent <= 100) {
+        settings.gridBlankPercent = gridBlankPercent;
+    }
+    
+    if (params.has('shuffle')) {
+        settings.gridShuffleHeaders = params.get('shuffle') === '1';
+    }
+    
+    if (params.has('title')) {
+        settings.title = params.get('title').trim().slice(0, MAX_TITLE_LENGTH);
+    }
+    
+    if (params.has('instructions')) {
+        settings.instructions = params.get('instructions').trim().slice(0, MAX_INSTRUCTIONS_LENGTH);
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(READING_STYLES, params.get('reading'))) {
+        settings.readingStyle = params.get('reading');
+    }
+    
+    if (Object.prototype.hasOwnProperty.call(COLOR_SCHEMES, params.get('colours'))) {
+        settings.colorScheme = params.get('colours');
+    }
+    
+    const code = normalizeWorksheetCode(params.get('code') || '');
+    
+    return {
+        settings: settings,
+        worksheetCode: isValidWorksheetCode(code) ? code : null,
+        present: params.get('present') === '1'
+    };
+}
+
+/**
+ * Applies settings from the page URL to the form (used for shared links)
+ * @returns {Object} Parsed link options (see parseSettingsFromQuery)
+ */
+function applySettingsFromUrl() {
+    const linkOptions = parseSettingsFromQuery(window.location.search);
+    applyWorksheetSettings(linkOptions.settings);
+    if (linkOptions.worksheetCode) {
+        document.getElementById('worksheetCode').value = linkOptions.worksheetCode;
+    }
+    return linkOptions;
+}
+
+/**
+ * Saves the current settings and the presentation font size and weight to localStorage
+ * so they are restored on the next visit
+ * The settings are stored as a shareable link query string, so they are checked the same way when read back
+ */
+function saveSettingsToStorage() {
+    const stored = {
+        query: encodeSettingsToQuery(getWorksheetSettings(), null, false).toString().replace(/%2C/g, ','),
+        fontSizeMultiplier: presentationFontSizeMultiplier,
+        fontWeight: presentationFontWeight
+    };
+    try {
+        window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+        // Storage is unavailable or full - the settings just won't be remembered
+    }
+}
+
+/**
+ * Restores the settings saved by saveSettingsToStorage()
+ * Anything missing or invalid is left at its default
+ * @param {boolean} includeWorksheetSettings - Whether to restore the form as well as the presentation
+ *                                            font size and weight (false when a shared link set the form)
+ */
+function restoreSettingsFromStorage(includeWorksheetSettings) {
+    let stored;
+    try {
+        stored = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+    } catch (error) {
+        return;
+    }
+    if (!stored || typeof stored !== 'object') {
+        return;
+    }
+    
+    if (includeWorksheetSettings && typeof stored.query === 'string') {
+        const settings = parseSettingsFromQuery(stored.query).settings;
+        applyWorksheetSettings(Object.assign({}, DEFAULT_WORKSHEET_SETTINGS, settings));
+    }
+    
+    if (Number.isFinite(stored.fontSizeMultiplier)) {
+        presentationFontSizeMultiplier = Math.min(2.0, Math.max(0.5, stored.fontSizeMultiplier));
+    }
+    if (['normal', 'bold'].includes(stored.fontWeight)) {
+        presentationFontWeight = stored.fontWeight;
+    }
+}
+
+/**
+ * Checks whether a presentation link can recreate the current questions from their settings and code
+ * Imported and weak-fact sets can't be made again, and neither can the questions taken from a
+ * multiplication grid (a link opens a question list)
+ * @returns {boolean} True if the current questions can be shared as a presentation link
+ */
+function canShareCurrentQuestions() {
+    return currentSettings !== null && isValidWorksheetCode(currentWorksheetCode || '') &&
+        !currentQuestionsImported && currentSettings.worksheetType !== 'grid';
+}
+
+/**
+ * Builds a link to this page that restores the current settings
+ * @param {boolean} present - Whether the link should open the current worksheet in presentation mode
+ *                            (only when canShareCurrentQuestions() is true)
+ * @returns {string} Absolute URL
+ */
+function buildShareLink(present) {
+    // Presentation links carry the code and the settings the questions were made with, so they
+    // show the same questions; settings links only carry a code if one has been typed in
+    const settings = present ? currentSettings : getWorksheetSettings();
+    const worksheetCode = present ? currentWorksheetCode : getEnteredWorksheetCode();
+    const params = encodeSettingsToQuery(settings, isValidWorksheetCode(worksheetCode || '') ? worksheetCode : null, present);
+    // Commas are safe in a query string and keep table lists readable
+    const query = params.toString().replace(/%2C/g, ',');
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+}
+
+/**
+ * Copies a shareable link to the clipboard and confirms on the button
+ * Falls back to a prompt if the clipboard API is not available
+ * @param {HTMLElement} button - Button that was clicked (its text shows the confirmation)
+ * @param {boolean} present - Whether the link should open presentation mode
+ */
+function copyShareLink(button, present) {
+    if (present && !canShareCurrentQuestions()) {
+        return;
+    }
+    const link = buildShareLink(present);
+    
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link:', link);
+        return;
+    }
+    
+    navigator.clipboard.writeText(link).then(() => {
+        const originalText = button.textContent;
+        button.textContent = 'Link copied';
+        setTimeout(() => {
+            button.textContent = originalText;
+        }, 2000);
+    }).catch(() => {
+        window.prompt('Copy this link:', link);
+    });
+}
+
+/* ============================================
+   Presets
+   ============================================ */
+
+/**
+ * Creates the preset buttons: the built-in table presets followed by the user's saved presets
+ * Also refreshes the list of saved presets in the "Save or manage presets" panel
+ */
+function renderPresetButtons() {
+    const container = document.getElementById('presetButtons');
+    container.innerHTML = '';
+    
+    TABLE_PRESETS.forEach(preset => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'preset-btn';
+        button.textContent = preset.name;
+        button.addEventListener('click', () => applyTablePreset(preset.tables));
+        container.appendChild(button);
+    });
+    
+    savedPresets.forEach(preset => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'preset-btn preset-btn-saved';
+        button.textContent = preset.name;
+        button.title = 'Saved preset: applies all of its settings';
+        button.addEventListener('click', () => applySavedPreset(preset));
+        container.appendChild(button);
+    });
+    
+    renderPresetList();
+}
+
+/**
+ * Creates the rows for managing saved presets: rename, move up or down and delete
+ */
+function renderPresetList() {
+    const list = document.getElementById('presetList');
+    list.innerHTML = '';
+    
+    if (savedPresets.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'preset-list-empty';
+        empty.textContent = 'No saved presets yet.';
+        list.appendChild(empty);
+        return;
+    }
+    
+    savedPresets.forEach((preset, index) => {
+        const item = document.createElement('li');
+        item.className = 'preset-list-item';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'text-input';
+        nameInput.value = preset.name;
+        nameInput.maxLength = MAX_PRESET_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', `Name of preset ${index + 1}`);
+        nameInput.addEventListener('change', () => renamePreset(index, nameInput.value));
+        item.appendChild(nameInput);
+        
+        item.appendChild(createPresetListButton('↑', `Move ${preset.name} up`, index === 0, () => movePreset(index, -1)));
+        item.appendChild(createPresetListButton('↓', `Move ${preset.name} down`, index === savedPresets.length - 1, () => movePreset(index, 1)));
+        item.appendChild(createPresetListButton('Delete', `Delete ${preset.name}`, false, () => deletePreset(index)));
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Creates a small button for a row in the saved presets list
+ * @param {string} text - Button text
+ * @param {string} label - Accessible label describing the action
+ * @param {boolean} disabled - Whether the button is disabled
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createPresetListButton(text, label, disabled, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'preset-btn preset-list-btn';
+    button.textContent = text;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Selects exactly the given times tables (used by the built-in presets)
+ * @param {number[]} tables - Tables to select (empty to clear them all)
+ */
+function applyTablePreset(tables) {
+    applyWorksheetSettings({ tables: tables });
+    saveSettingsToStorage();
+    // No animation for clear all as nothing is selected
+    if (tables.length > 0) {
+        triggerPresetAnimation();
+    }
+}
+
+/**
+ * Applies every setting from a saved preset
+ * Settings the preset does not mention go back to their defaults
+ * @param {Object} preset - Saved preset with name and query
+ */
+function applySavedPreset(preset) {
+    const settings = parseSettingsFromQuery(preset.query).settings;
+    applyWorksheetSettings(Object.assign({}, DEFAULT_WORKSHEET_SETTINGS, settings));
+    saveSettingsToStorage();
+    clearErrors();
+    triggerPresetAnimation();
+}
+
+/**
+ * Reads the user's saved presets from localStorage
+ * @returns {Object[]} Saved presets, or an empty array if there are none or storage is unavailable
+ */
+function loadSavedPresets() {
+    try {
+        const stored = window.localStorage.getItem(PRESETS_STORAGE_KEY);
+        return stored ? parsePresetList(JSON.parse(stored)) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Writes the user's saved presets to localStorage and refreshes the preset buttons
+ * @returns {boolean} True if the presets were saved
+ */
+function storeSavedPresets() {
+    renderPresetButtons();
+    try {
+        window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(savedPresets));
+        return true;
+    } catch (error) {
+        showError('presetError', 'Presets could not be saved. Your browser may be blocking storage for this site.');
+        return false;
+    }
+}
+
+/**
+ * Checks a list of presets read from storage or an imported file
+ * Each preset stores its settings as a shareable link query string, so they are checked the
+ * same way as a shared link when applied. Entries without a name or settings are dropped.
+ * @param {Object|Object[]} data - Parsed JSON: an array of presets or { presets: [...] }
+ * @returns {Object[]} Presets with name and query
+ */
+function parsePresetList(data) {
+    const presets = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(presets)) {
+        return [];
+    }
+    return presets
+        .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() && typeof preset.query === 'string')
+        .map(preset => ({ name: preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH), query: preset.query }));
+}
+
+/**
+ * Finds a saved preset by name, ignoring case
+ * @param {string} name - Preset name
+ * @returns {number} Index in savedPresets, or -1 if there is no preset with that name
+ */
+function findSavedPreset(name) {
+    const lowerName = name.toLowerCase();
+    return savedPresets.findIndex(preset => preset.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Handles the Save preset button
+ * Saves the current settings under the name typed in, replacing any preset with the same name
+ */
+function handleSavePreset() {
+    clearErrors();
+    const nameInput = document.getElementById('presetName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showError('presetError', 'Please enter a name for the preset');
+        return;
+    }
+    
+    const preset = {
+        name: name,
+        // Commas are kept readable, as in shareable links
+        query: encodeSettingsToQuery(getWorksheetSettings(), null, false).toString().replace(/%2C/g, ',')
+    };
+    
+    const existingIndex = findSavedPreset(name);
+    if (existingIndex >= 0) {
+        savedPresets[existingIndex] = preset;
+    } else if (savedPresets.length >= MAX_SAVED_PRESETS) {
+        showError('presetError', `You can save up to ${MAX_SAVED_PRESETS} presets. Delete one to make room.`);
+        return;
+    } else {
+        savedPresets.push(preset);
+    }
+    
+    if (storeSavedPresets()) {
+        nameInput.value = '';
+    }
+}
+
+/**
+ * Renames a saved preset
+ * @param {number} index - Index in savedPresets
+ * @param {string} newName - Name typed in
+ */
+function renamePreset(index, newName) {
+    clearErrors();
+    const name = newName.trim();
+    const existingIndex = findSavedPreset(name);
+    if (!name) {
+        showError('presetError', 'Presets need a name');
+    } else if (existingIndex >= 0 && existingIndex !== index) {
+        showError('presetError', `There is already a preset called "${savedPresets[existingIndex].name}"`);
+    } else {
+        savedPresets[index].name = name;
+        storeSavedPresets();
+        return;
+    }
+    // Put the old name back
+    renderPresetList();
+}
+
+/**
+ * Moves a saved preset up or down the list
+ * @param {number} index - Index in savedPresets
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function movePreset(index, offset) {
+    const newIndex = index + offset;
+    if (newIndex < 0 || newIndex >= savedPresets.length) {
+        return;
+    }
+    const [preset] = savedPresets.splice(index, 1);
+    savedPresets.splice(newIndex, 0, preset);
+    storeSavedPresets();
+    
+    // Keep focus on the same button so a preset can be moved several places with the keyboard
+    const buttons = document.querySelectorAll('#presetList .preset-list-item')[newIndex].querySelectorAll('.preset-list-btn');
+    const button = buttons[offset < 0 ? 0 : 1];
+    // At the top or bottom of the list, move focus to the other arrow instead
+    (button.disabled ? buttons[offset < 0 ? 1 : 0] : button).focus();
+}
+
+/**
+ * Deletes a saved preset after checking with the user
+ * @param {number} index - Index in savedPresets
+ */
+function deletePreset(index) {
+    if (!window.confirm(`Delete the preset "${savedPresets[index].name}"?`)) {
+        return;
+    }
+    savedPresets.splice(index, 1);
+    storeSavedPresets();
+}
+
+/**
+ * Handles the Export presets button
+ * Downloads the saved presets as a JSON file that can be imported on another computer
+ */
+function handleExportPresets() {
+    clearErrors();
+    if (savedPresets.length === 0) {
+        showError('presetError', 'There are no saved presets to export');
+        return;
+    }
+    const json = JSON.stringify({ presets: savedPresets }, null, 2);
+    downloadTextFile(json, 'times-table-presets.json', 'application/json');
+}
+
+/**
+ * Reads presets exported by handleExportPresets()
+ * @param {string} text - JSON text
+ * @returns {Object[]} Presets with name and query
+ * @throws {Error} With a message for the user if the file has no usable presets
+ */
+function importPresetsFromJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+    
+    const presets = parsePresetList(data);
+    if (presets.length === 0) {
+        throw new Error('No presets were found in this file.');
+    }
+    return presets;
+}
+
+/**
+ * Handles a presets file being chosen for import
+ * Imported presets are added to the end of the list; any with the same name as a saved preset replace it
+ * @param {Event} event - Change event from the file input
+ */
+function handleImportPresetsFile(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) {
+        return;
+    }
+    
+    clearErrors();
+    
+    file.text().then(text => {
+        const presets = importPresetsFromJson(text);
+        let skipped = 0;
+        presets.forEach(preset => {
+            const existingIndex = findSavedPreset(preset.name);
+            if (existingIndex >= 0) {
+                savedPresets[existingIndex] = preset;
+            } else if (savedPresets.length < MAX_SAVED_PRESETS) {
+                savedPresets.push(preset);
+            } else {
+                skipped++;
+            }
+        });
+        if (storeSavedPresets() && skipped > 0) {
+            showError('presetError', `${skipped} preset${skipped === 1 ? ' was' : 's were'} not imported. You can save up to ${MAX_SAVED_PRESETS} presets.`);
+        }
+    }).catch(error => {
+        showError('presetError', error.message);
+    }).finally(() => {
+        // Let the same file be chosen again
+        input.value = '';
+    });
+}
+
+/* ============================================
+   Export & Import
+   ============================================ */
+
+/**
+ * Builds the CSV export of a question set
+ * Columns: number, question, answer, type, base, other
+ * @param {Object[]} questions - Array of question objects
+ * @returns {string} CSV text with a header row
+ */
+function questionsToCsv(questions) {
+    const rows = [['number', 'question', 'answer', 'type', 'base', 'other']];
+    questions.forEach((question, index) => {
+        rows.push([index + 1, question.questionText, question.answer, question.type, question.base, question.other]);
+    });
+    return rows.map(row => row.map(formatCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats one CSV value, quoting it if it contains a comma, quote or line break
+ * Text (not numbers) starting with = + - or @ gets a leading ' so spreadsheets do not run it as a formula
+ * @param {*} value - Value to format
+ * @returns {string} CSV-safe value
+ */
+function formatCsvValue(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Builds the JSON export of a question set (the full question objects)
+ * @param {Object[]} questions - Array of question objects
+ * @param {string|null} worksheetCode - Worksheet code the questions came from, if any
+ * @returns {string} JSON text that importQuestionsFromJson() can read back
+ */
+function questionsToJson(questions, worksheetCode) {
+    return JSON.stringify({ worksheetCode: worksheetCode, questions: questions }, null, 2) + '\n';
+}
+
+/**
+ * Builds the plain text export of a question set: numbered questions, then the answers
+ * @param {Object[]} questions - Array of question objects
+ * @param {string|null} worksheetCode - Worksheet code shown at the top, if any
+ * @returns {string} Plain text
+ */
+function questionsToText(questions, worksheetCode) {
+    const lines = ['Timestable worksheet'];
+    if (worksheetCode) {
+        lines.push(`Worksheet code: ${worksheetCode}`);
+    }
+    lines.push('');
+    questions.forEach((question, index) => {
+        lines.push(`${index + 1}) ${question.questionText}`);
+    });
+    lines.push('', 'Answers', '');
+    questions.forEach((question, index) => {
+        lines.push(`${index + 1}) ${question.answer}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the Markdown export of a question set: a numbered list of questions and one of answers
+ * Underscores in the blanks are escaped so they are not read as formatting
+ * @param {Object[]} questions - Array of question objects
+ * @param {string|null} worksheetCode - Worksheet code shown under the title, if any
+ * @returns {string} Markdown text
+ */
+function questionsToMarkdown(questions, worksheetCode) {
+    const escapeMarkdown = text => String(text).replace(/([\\`*_[\]#])/g, '\\$1');
+    const lines = ['# Timestable worksheet', ''];
+    if (worksheetCode) {
+        lines.push(`Worksheet code: ${worksheetCode}`, '');
+    }
+    questions.forEach((question, index) => {
+        lines.push(`${index + 1}. ${escapeMarkdown(question.questionText)}`);
+    });
+    lines.push('', '## Answers', '');
+    questions.forEach((question, index) => {
+        lines.push(`${index + 1}. ${question.answer}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escapes the characters that have a special meaning in Moodle GIFT text: ~ = # { } : and \
+ * @param {string} text - Text to escape
+ * @returns {string} GIFT-safe text
+ */
+function escapeGiftText(text) {
+    return String(text).replace(/([~=#{}:\\])/g, '\\$1');
+}
+
+/**
+ * Builds a Moodle GIFT export of a question set as numeric-answer questions
+ * Questions are grouped into a category per question type (e.g. "Timestable worksheet/division")
+ * and keep their worksheet numbers in their names
+ * @param {Object[]} questions - Array of question objects
+ * @param {string|null} worksheetCode - Worksheet code added to the question names, if any
+ * @returns {string} GIFT text, ready for Moodle's question bank import
+ */
+function questionsToGift(questions, worksheetCode) {
+    const lines = [];
+    const codeSuffix = worksheetCode ? ` (${worksheetCode})` : '';
+    
+    // Group by type, keeping the first-seen order of types
+    const types = [];
+    questions.forEach(question => {
+        const type = question.type || 'other';
+        if (!types.includes(type)) {
+            types.push(type);
+        }
+    });
+    
+    types.forEach(type => {
+        lines.push(`$CATEGORY: $course$/top/Timestable worksheet/${type}`, '');
+        questions.forEach((question, index) => {
+            if ((question.type || 'other') !== type) {
+                return;
+            }
+            const name = escapeGiftText(`Question ${index + 1}${codeSuffix}`);
+            lines.push(`::${name}::${escapeGiftText(question.questionText)} {#${question.answer}}`, '');
+        });
+    });
+    
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} XML-safe text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds one IMS QTI 2.1 item: a text entry box where the blank was, with an integer answer
+ * @param {Object} question - Question object
+ * @param {string} identifier - Item identifier, e.g. "question-1"
+ * @param {string} title - Item title, e.g. "Question 1"
+ * @returns {string} assessmentItem XML
+ */
+function questionToQtiItem(question, identifier, title) {
+    const parts = splitQuestionText(question);
+    const expectedLength = String(question.answer).length + 1;
+    const baseType = Number.isInteger(question.answer) ? 'integer' : 'float';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${escapeXml(identifier)}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${baseType}">
+        <correctResponse>
+            <value>${question.answer}</value>
+        </correctResponse>
+    </responseDeclaration>
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+        <defaultValue>
+            <value>0</value>
+        </defaultValue>
+    </outcomeDeclaration>
+    <itemBody>
+        <p>${escapeXml(parts.before)}<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${expectedLength}"/>${escapeXml(parts.after)}</p>
+    </itemBody>
+    <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>
+</assessmentItem>
+`;
+}
+
+/**
+ * Builds an IMS QTI 2.1 content package for a question set
+ * The package has one item per question, a test that lists them in order and a manifest
+ * that tags each item with its question type (as a LOM keyword)
+ * @param {Object[]} questions - Array of question objects
+ * @param {string|null} worksheetCode - Worksheet code used in the test title and identifiers, if any
+ * @returns {Object[]} Files for the zip, each { name, text }
+ */
+function questionsToQtiPackage(questions, worksheetCode) {
+    const packageId = worksheetCode ? `timestable-worksheet-${worksheetCode}` : 'timestable-worksheet';
+    const testTitle = worksheetCode ? `Timestable worksheet ${worksheetCode}` : 'Timestable worksheet';
+    const files = [];
+    const itemRefs = [];
+    const itemResources = [];
+    
+    questions.forEach((question, index) => {
+        const identifier = `question-${index + 1}`;
+        const href = `items/${identifier}.xml`;
+        files.push({ name: href, text: questionToQtiItem(question, identifier, `Question ${index + 1}`) });
+        itemRefs.push(`            <assessmentItemRef identifier="${identifier}" href="../${href}"/>`);
+        itemResources.push(`        <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">
+            <metadata>
+                <imsmd:lom>
+                    <imsmd:general>
+                        <imsmd:keyword>
+                            <imsmd:langstring xml:lang="en">${escapeXml(question.type || 'other')}</imsmd:langstring>
+                        </imsmd:keyword>
+                    </imsmd:general>
+                </imsmd:lom>
+            </metadata>
+            <file href="${href}"/>
+        </resource>`);
+    });
+    
+    files.push({ name: 'tests/test.xml', text: `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${escapeXml(packageId)}" title="${escapeXml(testTitle)}">
+    <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">
+        <assessmentSection identifier="section-1" title="Questions" visible="true">
+${itemRefs.join('\n')}
+        </assessmentSection>
+    </testPart>
+</assessmentTest>
+` });
+    
+    const dependencies = questions.map((question, index) => `            <dependency identifierref="question-${index + 1}"/>`);
+    files.push({ name: 'imsmanifest.xml', text: `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+    identifier="${escapeXml(packageId)}-manifest">
+    <metadata>
+        <schema>QTIv2.1 Package</schema>
+        <schemaversion>1.0.0</schemaversion>
+    </metadata>
+    <organizations/>
+    <resources>
+        <resource identifier="test" type="imsqti_test_xmlv2p1" href="tests/test.xml">
+            <file href="tests/test.xml"/>
+${dependencies.join('\n')}
+        </resource>
+${itemResources.join('\n')}
+    </resources>
+</manifest>
+` });
+    
+    return files;
+}
+
+/**
+ * Works out the CRC-32 checksum a zip file needs for each entry
+ * @param {Uint8Array} bytes - Data to check
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs text files into an uncompressed zip (QTI packages must be zips)
+ * @param {Object[]} files - Files to pack, each { name, text }
+ * @returns {Blob} Zip file
+ */
+function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+    
+    // Zip dates are in MS-DOS format
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.text);
+        const checksum = crc32(data);
+        
+        // Local file header, then the data stored as it is
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, 0x0800, true); // Names are UTF-8
+        header.setUint16(8, 0, true); // Stored (no compression)
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, checksum, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        chunks.push(new Uint8Array(header.buffer), name, data);
+        
+        // Matching central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true); // Version needed to extract
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, checksum, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true); // Where the local header starts
+        centralDirectory.push(new Uint8Array(entry.buffer), name);
+        
+        offset += 30 + name.length + data.length;
+    });
+    
+    const directorySize = centralDirectory.reduce((total, chunk) => total + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob(chunks.concat(centralDirectory, [new Uint8Array(end.buffer)]), { type: 'application/zip' });
+}
+
+/**
+ * Reads a question set exported as JSON
+ * Accepts the export format ({ worksheetCode, questions }) or a bare array of questions
+ * @param {string} text - JSON text
+ * @returns {Object} Object with questions and worksheetCode (null if missing or invalid)
+ * @throws {Error} With a message for the user if the file is not a usable question set
+ */
+function importQuestionsFromJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+    
+    const questions = Array.isArray(data) ? data : data && data.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+        throw new Error('No questions were found in this file.');
+    }
+    if (questions.length > MAX_IMPORTED_QUESTIONS) {
+        throw new Error(`This file has ${questions.length} questions. Sets can have up to ${MAX_IMPORTED_QUESTIONS}.`);
+    }
+    
+    // Every question needs its text and a whole-number answer - other fields are kept as they are
+    questions.forEach((question, index) => {
+        if (!question || typeof question.questionText !== 'string' || !Number.isInteger(question.answer) || question.answer < 0) {
+            throw new Error(`Question ${index + 1} needs questionText and a whole number (0 or more) for its answer.`);
+        }
+    });
+    
+    let worksheetCode = null;
+    if (!Array.isArray(data) && typeof data.worksheetCode === 'string') {
+        const code = normalizeWorksheetCode(data.worksheetCode);
+        worksheetCode = isValidWorksheetCode(code) ? code : null;
+    }
+    
+    return { questions: questions, worksheetCode: worksheetCode };
+}
+
+/**
+ * Saves text as a file download
+ * @param {string} text - File contents
+ * @param {string} filename - Name to save the file as
+ * @param {string} mimeType - MIME type, e.g. 'text/csv'
+ */
+function downloadTextFile(text, filename, mimeType) {
+    downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+}
+
+/**
+ * Saves a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name to save the file as
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Some browsers start the download after click() returns, so the URL is kept for a moment
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Builds a download filename with the date and worksheet code, matching the PDF filename
+ * @param {string} prefix - Start of the name, e.g. "times-table-questions"
+ * @param {string|null} worksheetCode - Worksheet code, left out if null
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Filename
+ */
+function buildDownloadFilename(prefix, worksheetCode, extension) {
+    const timestamp = new Date().toISOString().split('T')[0];
+    const codePart = worksheetCode ? `-${worksheetCode}` : '';
+    return `${prefix}-${timestamp}${codePart}.${extension}`;
+}
+
+/* ============================================
+   Event Handlers
+   ============================================ */
+
+/**
+ * Handles the Present worksheet button click
+ * Generates worksheet and opens presentation mode
+ */
+function handleGenerate() {
+    generateWorksheet();
+    // Open presentation mode with the generated questions
+    if (currentQuestions.length > 0) {
+        openPresentationMode();
+    }
+}
+
+/**
+ * Handles the Start quiz button click
+ * Generates a fresh worksheet and opens it as an on-screen quiz
+ */
+function handleStartQuiz() {
+    generateWorksheet();
+    if (currentQuestions.length > 0) {
+        openQuiz();
+    }
+}
+
+/**
+ * Handles the Multiplication tables check button click
+ * Ignores the form settings (the check has fixed rules) apart from the worksheet code
+ */
+function handleStartMtc() {
+    clearErrors();
+    const enteredCode = getEnteredWorksheetCode();
+    if (enteredCode && !isValidWorksheetCode(enteredCode)) {
+        showError('worksheetCodeError', `Worksheet codes are ${WORKSHEET_CODE_LENGTH} letters and numbers, e.g. K7P3QX`);
+        return;
+    }
+    
+    prepareWorksheetCode();
+    openMtc(generateMtcQuestions());
+}
+
+/**
+ * Handles the Download worksheet as PDF button click
+ * Generates a fresh worksheet and downloads it as PDF
+ * Works independently - doesn't require the Display button to be clicked first
+ */
+function handleDownload() {
+    // Validate inputs first
+    if (!validateInputs(true)) {
+        return;
+    }
+    
+    // Get user settings
+    const settings = getWorksheetSettings();
+    
+    // Seed the random number generator from the entered (or a fresh) worksheet code
+    prepareWorksheetCode();
+    
+    // Generate fresh questions (or grids) for the PDF - one per version, all from the same code
+    // (so version A is always the same as a single-version worksheet with that code)
+    const isGrid = settings.worksheetType === 'grid';
+    const versions = [];
+    for (let i = 0; i < settings.versions; i++) {
+        versions.push(isGrid ? generateGrid(settings) : generateQuestionSet(settings));
+    }
+    const pdfQuestions = isGrid ? getGridQuestions(versions[0]) : versions[0];
+    
+    // Also update the displayed worksheet with these questions (for presentation mode only)
+    currentQuestions = pdfQuestions;
+    currentQuestionsImported = false;
+    currentSettings = settings;
+    currentDifficulty = isGrid ? settings.difficulty : getEffectiveDifficulty(settings);
+    renderWorksheet(pdfQuestions);
+    renderAnswers(pdfQuestions);
+    
+    // Sections remain hidden - only presentation mode shows content
+    
+    // Generate and download the PDF
+    downloadWorksheetPdf(versions, currentWorksheetCode, settings);
+}
+
+/**
+ * Handles the Export questions button click
+ * Exports the current question set in the chosen format, generating one first if needed
+ */
+function handleExport() {
+    if (currentQuestions.length === 0) {
+        generateWorksheet();
+        if (currentQuestions.length === 0) {
+            return;
+        }
+    }
+    
+    const format = document.getElementById('exportFormat').value;
+    if (format === 'csv') {
+        downloadTextFile(questionsToCsv(currentQuestions), buildDownloadFilename('times-table-questions', currentWorksheetCode, 'csv'), 'text/csv');
+    } else if (format === 'json') {
+        downloadTextFile(questionsToJson(currentQuestions, currentWorksheetCode), buildDownloadFilename('times-table-questions', currentWorksheetCode, 'json'), 'application/json');
+    } else if (format === 'markdown') {
+        downloadTextFile(questionsToMarkdown(currentQuestions, currentWorksheetCode), buildDownloadFilename('times-table-questions', currentWorksheetCode, 'md'), 'text/markdown');
+    } else if (format === 'gift') {
+        // Moodle imports GIFT from .txt files
+        downloadTextFile(questionsToGift(currentQuestions, currentWorksheetCode), buildDownloadFilename('times-table-moodle-gift', currentWorksheetCode, 'txt'), 'text/plain');
+    } else if (format === 'qti') {
+        downloadBlob(createZipBlob(questionsToQtiPackage(currentQuestions, currentWorksheetCode)), buildDownloadFilename('times-table-qti', currentWorksheetCode, 'zip'));
+    } else {
+        downloadTextFile(questionsToText(currentQuestions, currentWorksheetCode), buildDownloadFilename('times-table-questions', currentWorksheetCode, 'txt'), 'text/plain');
+    }
+}
+
+/**
+ * Handles a JSON file being chosen for import
+ * Loads the questions into currentQuestions so they can be presented or downloaded as a PDF
+ * @param {Event} event - Change event from the file input
+ */
+function handleImportFile(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) {
+        return;
+    }
+    
+    clearErrors();
+    document.getElementById('importStatus').style.display = 'none';
+    
+    file.text().then(text => {
+        const imported = importQuestionsFromJson(text);
+        currentQuestions = imported.questions;
+        currentQuestionsImported = true;
+        currentSettings = getWorksheetSettings();
+        currentWorksheetCode = imported.worksheetCode;
+        currentDifficulty = 'any';
+        
+        // Only show a worksheet code if the file had one
+        if (currentWorksheetCode) {
+            updateWorksheetCodeDisplay();
+        } else {
+            document.getElementById('worksheetCodeDisplay').style.display = 'none';
+        }
+        
+        renderWorksheet(currentQuestions);
+        renderAnswers(currentQuestions);
+        
+        const count = currentQuestions.length;
+        document.getElementById('importStatusText').textContent = `Imported ${count} question${count === 1 ? '' : 's'} from ${file.name}.`;
+        document.getElementById('importStatus').style.display = 'flex';
+    }).catch(error => {
+        showError('importError', error.message);
+    }).finally(() => {
+        // Let the same file be chosen again
+        input.value = '';
+    });
+}
+
+/**
+ * Handles the Download PDF button for an imported or weak-fact question set
+ * Uses the current questions as they are instead of generating new ones
+ */
+function handleDownloadImported() {
+    if (currentQuestions.length === 0) {
+        return;
+    }
+    const settings = getWorksheetSettings();
+    downloadWorksheetPdf([currentQuestions], currentWorksheetCode, {
+        worksheetType: 'questions',
+        answerKeyPlacement: 'after-each',
+        includeHeader: settings.includeHeader,
+        paperSize: settings.paperSize,
+        orientation: settings.orientation,
+        title: settings.title,
+        instructions: settings.instructions,
+        readingStyle: settings.readingStyle,
+        colorScheme: settings.colorScheme
+    });
+}
+
+/**
+ * Handles the Reset to defaults button
+ * Puts every setting (including the presentation font size and weight) back to its default
+ * and forgets the remembered settings. Saved presets are kept.
+ */
+function handleResetSettings() {
+    applyWorksheetSettings(DEFAULT_WORKSHEET_SETTINGS);
+    document.getElementById('worksheetCode').value = '';
+    presentationFontSizeMultiplier = 1.0;
+    presentationFontWeight = 'normal';
+    updateFontWeightButton();
+    clearErrors();
+    
+    try {
+        window.localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch (error) {
+        // Nothing was stored
+    }
+}
+
+/* ============================================
+   PDF Generation
+   ============================================ */
+
+/**
+ * Generates and downloads a PDF of the worksheet
+ * Uses jsPDF library to create the PDF in the chosen paper size and orientation
+ * Creates two pages per version: one with blanks, one with answers in red
+ * With more than one version, pages are titled "Version A", "Version B"…
+ * and the answer keys go after each version or all together at the end
+ * Dynamically adjusts columns and font size to fit on one page
+ * The grid worksheet type draws a times table square instead of a list of questions
+ * @param {Array} versions - One entry per version: an array of question objects (all the same
+ *                          length), or a grid from generateGrid() for the grid worksheet type
+ * @param {string} worksheetCode - Worksheet code printed in the footer of each page
+ * @param {Object} options - PDF settings: worksheetType ('questions' or 'grid'), answerKeyPlacement
+ *                           ('after-each' or 'end'), includeHeader, paperSize, orientation,
+ *                           title, instructions, difficulty, sequence, tableHeadings,
+ *                           readingStyle and colorScheme (see getWorksheetSettings)
+ */
+function downloadWorksheetPdf(versions, worksheetCode, options) {
+    // A reading style with its own font fetches it the first time, then makes the PDF
+    const readingStyle = READING_STYLES[options.readingStyle] || READING_STYLES.standard;
+    if (readingStyle.font && !isPdfFontLoaded(readingStyle.font)) {
+        // A failed fetch and a failure making the PDF afterwards get their own messages
+        loadPdfFont(readingStyle.font).then(() => {
+            downloadWorksheetPdf(versions, worksheetCode, options);
+        }, () => {
+            showError('readingStyleError', 'The dyslexia-friendly font could not be loaded, so the PDF was not made. Check your connection and try again.');
+        }).catch(() => {
+            showError('pdfFitError', 'Something went wrong making the PDF, so it was not saved. Please try again.');
+        });
+        return;
+    }
+    
+    const { worksheetType, answerKeyPlacement, includeHeader, paperSize, orientation } = options;
+    const difficulty = worksheetType === 'grid' ? options.difficulty : getEffectiveDifficulty(options);
+    const title = addDifficultyToTitle(options.title || DEFAULT_PDF_TITLE, difficulty);
+    const instructions = options.instructions || '';
+    
+    // Access jsPDF from the global scope (loaded from CDN)
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({
+        orientation: orientation,
+        unit: 'mm',
+        format: paperSize
+    });
+    
+    // Font, spacing and colours for the chosen reading style and colour scheme: pdfStyle has the
+    // letterSpacing and lineSpacing of the reading style and the colors of the scheme
+    if (readingStyle.font) {
+        addPdfFont(doc, readingStyle.font);
+    }
+    const pdfStyle = {
+        letterSpacing: readingStyle.letterSpacing,
+        lineSpacing: readingStyle.lineSpacing,
+        colors: COLOR_SCHEMES[options.colorScheme] || COLOR_SCHEMES.standard
+    };
+    
+    // Set up page dimensions
+    const pageSize = getPdfPageSize(paperSize, orientation);
+    const pageWidth = doc.internal.pageSize.getWidth(); // e.g. 210mm for A4 portrait
+    const pageHeight = doc.internal.pageSize.getHeight(); // e.g. 297mm for A4 portrait
+    const margin = pageSize.margin;
+    
+    // Question lists are drawn row by row, with a heading before each table if the questions
+    // go through the tables in order and headings were asked for
+    const tableHeadings = Boolean(options.tableHeadings) && SEQUENTIAL_ORDERS.includes(options.sequence);
+    const contents = worksheetType === 'grid' ? versions : versions.map(version => getPdfRows(version, tableHeadings));
+    
+    // Work out the page order: question pages with blanks, answer pages in red
+    const pages = [];
+    contents.forEach((content, index) => {
+        const versionLabel = contents.length > 1 ? `Version ${String.fromCharCode(65 + index)}` : null;
+        pages.push({ content: content, showAnswers: false, versionLabel: versionLabel });
+        if (answerKeyPlacement !== 'end') {
+            pages.push({ content: content, showAnswers: true, versionLabel: versionLabel });
+        }
+    });
+    if (answerKeyPlacement === 'end') {
+        contents.forEach((content, index) => {
+            const versionLabel = contents.length > 1 ? `Version ${String.fromCharCode(65 + index)}` : null;
+            pages.push({ content: content, showAnswers: true, versionLabel: versionLabel });
+        });
+    }
+    
+    // Leave the same room for the title on every page (the tallest one, usually an answer key)
+    // so answer keys line up with their question pages
+    const titleMaxWidth = pageWidth - (margin * 2);
+    const titleExtraHeight = Math.max(...pages.map(page => {
+        const titleText = getPdfTitleText(title, page.versionLabel, page.showAnswers);
+        return layoutPdfTitle(doc, titleText, instructions, titleMaxWidth).extraHeight;
+    }));
+    const titleBlock = { title: title, instructions: instructions, extraHeight: titleExtraHeight };
+    
+    if (worksheetType === 'grid') {
+        // Render each grid page, starting a new page for all but the first
+        const startY = getPdfContentTop(margin, includeHeader, titleExtraHeight);
+        pages.forEach((page, index) => {
+            if (index > 0) {
+                doc.addPage();
+            }
+            renderPdfGridPage(doc, page.content, pageWidth, pageHeight, margin, startY, page.showAnswers, worksheetCode, page.versionLabel, includeHeader, titleBlock, pdfStyle);
+        });
+    } else {
+        // Calculate optimal layout (every version has the same number of rows)
+        const rowCount = Math.max(...contents.map(rows => rows.length));
+        const widestQuestion = measureWidestPdfQuestion(doc, contents, pdfStyle.letterSpacing);
+        const layout = calculateOptimalLayout(rowCount, includeHeader, pageSize, titleExtraHeight, widestQuestion, pdfStyle.lineSpacing);
+        
+        const usableWidth = pageWidth - (margin * 2);
+        
+        // Calculate column width
+        const columnWidth = (usableWidth - (layout.columns - 1) * 5) / layout.columns; // 5mm gap between columns
+        const columnGap = 5;
+        
+        // Starting position after title (and header block, if any)
+        const startY = layout.startY;
+        const maxY = pageHeight - margin;
+        
+        // Calculate rows (questions and headings) per column
+        const rowsPerColumn = Math.ceil(rowCount / layout.columns);
+        
+        // Make room for questions that wrap onto more than one line (such as word problems).
+        // Very long word problems (or the larger dyslexia-friendly text) may not fit even at the
+        // smallest font, and a PDF with questions left off is not made at all.
+        const fittedLayout = fitPdfLayoutToWrappedText(doc, contents, layout, columnWidth, maxY - startY, rowsPerColumn, pdfStyle);
+        const fitAdvice = readingStyle.font ? 'Choose fewer questions, a bigger paper size or the standard text.' : 'Choose fewer questions or a bigger paper size.';
+        const fitError = `The questions do not all fit on the page, so the PDF was not made. ${fitAdvice}`;
+        if (!fittedLayout) {
+            showError('pdfFitError', fitError);
+            return;
+        }
+        const lineSpacing = fittedLayout.lineHeight;
+        
+        // Render each page, starting a new page for all but the first
+        let allFitted = true;
+        pages.forEach((page, index) => {
+            if (index > 0) {
+                doc.addPage();
+            }
+            allFitted = renderPdfPage(doc, page.content, fittedLayout, pageWidth, pageHeight, margin, columnWidth, columnGap, startY, maxY, rowsPerColumn, lineSpacing, page.showAnswers, worksheetCode, page.versionLabel, includeHeader, titleBlock, pdfStyle) && allFitted;
+        });
+        if (!allFitted) {
+            showError('pdfFitError', fitError);
+            return;
+        }
+        showError('pdfFitError', '');
+    }
+    
+    // Generate filename with timestamp and worksheet code
+    const filename = buildDownloadFilename('times-table-worksheet', worksheetCode, 'pdf');
+    
+    // Download the PDF
+    doc.save(filename);
+}
+
+/**
+ * Checks whether the regular and bold files of a font have been fetched (see loadPdfFont)
+ * @param {Object} font - Font from READING_STYLES
+ * @returns {boolean} True if the font can be added to a PDF
+ */
+function isPdfFontLoaded(font) {
+    return Boolean(pdfFontData[font.normal] && pdfFontData[font.bold]);
+}
+
+/**
+ * Fetches the regular and bold files of a bundled font so they can be embedded in PDFs
+ * Files already fetched are not fetched again
+ * @param {Object} font - Font from READING_STYLES (its name and the URLs of its normal and bold files)
+ * @returns {Promise} Resolves once both files are in pdfFontData, rejects if either cannot be fetched or is empty
+ */
+function loadPdfFont(font) {
+    return Promise.all([font.normal, font.bold].map(url => {
+        if (pdfFontData[url]) {
+            return Promise.resolve();
+        }
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load ${url}`);
+            }
+            return response.arrayBuffer();
+        }).then(buffer => {
+            // An empty file would never count as loaded (see isPdfFontLoaded), so it is an error too
+            if (buffer.byteLength === 0) {
+                throw new Error(`${url} is empty`);
+            }
+            pdfFontData[url] = arrayBufferToBase64(buffer);
+        });
+    }));
+}
+
+/**
+ * Converts binary data to base64, as jsPDF expects for embedded font files
+ * @param {ArrayBuffer} buffer - Data to convert
+ * @returns {string} Base64 text
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Convert a chunk at a time: String.fromCharCode can only take so many arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return window.btoa(binary);
+}
+
+/**
+ * Embeds a fetched font (see loadPdfFont) in a PDF and makes it the current font
+ * Later calls to setFont(undefined, 'bold') and setFont(undefined, 'normal') keep to this font
+ * @param {Object} doc - jsPDF document instance
+ * @param {Object} font - Font from READING_STYLES
+ */
+function addPdfFont(doc, font) {
+    ['normal', 'bold'].forEach(fontStyle => {
+        const fileName = font[fontStyle].split('/').pop();
+        doc.addFileToVFS(fileName, pdfFontData[font[fontStyle]]);
+        doc.addFont(fileName, font.name, fontStyle);
+    });
+    doc.setFont(font.name, 'normal');
+}
+
+/**
+ * Lists the rows of a PDF question page: the questions with their numbers and, if asked for,
+ * a heading such as "7× table" wherever the questions move on to a different table
+ * @param {Object[]} questions - Array of question objects
+ * @param {boolean} tableHeadings - Whether to add the table headings
+ * @returns {Object[]} Rows in order, each either { question, number } or { heading }
+ */
+function getPdfRows(questions, tableHeadings) {
+    const rows = [];
+    questions.forEach((question, index) => {
+        if (tableHeadings && (index === 0 || question.base !== questions[index - 1].base)) {
+            rows.push({ heading: `${question.base}× table` });
+        }
+        rows.push({ question: question, number: index + 1 });
+    });
+    return rows;
+}
+
+/**
+ * Shares the rows of a PDF question page between its columns, filling each column in turn
+ * A heading that would be left on its own at the bottom of a column starts the next one
+ * instead, as long as the columns still have room for every row
+ * @param {Object[]} rows - Rows from getPdfRows()
+ * @param {number} columnCount - Number of columns
+ * @param {number} rowsPerColumn - Most rows in one column
+ * @returns {Object[][]} Rows for each column
+ */
+function splitPdfRowsIntoColumns(rows, columnCount, rowsPerColumn) {
+    const columns = [[]];
+    let spareRows = columnCount * rowsPerColumn - rows.length;
+    rows.forEach(row => {
+        let column = columns[columns.length - 1];
+        const headingAtFoot = row.heading && column.length > 0 && column.length === rowsPerColumn - 1 && spareRows > 0;
+        if (column.length === rowsPerColumn || headingAtFoot) {
+            if (headingAtFoot) {
+                spareRows--;
+            }
+            column = [];
+            columns.push(column);
+        }
+        column.push(row);
+    });
+    return columns;
+}
+
+/**
+ * Measures the widest question in a PDF, as written on the question page with its number
+ * Word problems are left out: they are sentences and are expected to wrap
+ * @param {Object} doc - jsPDF document instance (used to measure text)
+ * @param {Object[][]} contents - Rows for each version (see getPdfRows)
+ * @param {number} letterSpacing - Space after each letter, as a fraction of the font size (see READING_STYLES)
+ * @returns {number} Width in mm at a font size of 1pt (1pt = 0.3528mm)
+ */
+function measureWidestPdfQuestion(doc, contents, letterSpacing) {
+    const previousFont = doc.getFont();
+    doc.setFont(undefined, 'normal');
+    let widest = 0;
+    contents.forEach(rows => {
+        rows.forEach(row => {
+            if (!row.question || row.question.type === 'word-problem') {
+                return;
+            }
+            const spacing = row.number >= 10 ? '  ' : ' ';
+            const text = `${row.number})${spacing}${row.question.questionText}`;
+            widest = Math.max(widest, (doc.getStringUnitWidth(text) + letterSpacing * text.length) * 0.3528);
+        });
+    });
+    doc.setFont(previousFont.fontName, previousFont.fontStyle);
+    return widest;
+}
+
+/**
+ * Adjusts a PDF layout so every row fits on the page, including questions that wrap onto several lines
+ * renderPdfPage() leaves off any row that would start within one row of the bottom, so the
+ * rows of the tallest column and their wrapped lines must add up to no more than usableHeight.
+ * The extra lines are taken out of the space between questions and, if that gets too
+ * tight, the font is made smaller (down to 6pt).
+ * @param {Object} doc - jsPDF document instance (used to measure text)
+ * @param {Object[][]} contents - Rows for each version (see getPdfRows)
+ * @param {Object} layout - Layout from calculateOptimalLayout()
+ * @param {number} columnWidth - Width of each column in mm
+ * @param {number} usableHeight - Height available for questions in mm
+ * @param {number} rowsPerColumn - Number of rows (questions and headings) per column
+ * @param {Object} pdfStyle - Letter spacing, line spacing and colours (see downloadWorksheetPdf)
+ * @returns {Object|null} Copy of the layout with fontSize, lineHeight and wrappedLineHeight
+ *                        (spacing between the wrapped lines of one question, in mm),
+ *                        or null if the questions cannot fit even at the smallest font
+ */
+function fitPdfLayoutToWrappedText(doc, contents, layout, columnWidth, usableHeight, rowsPerColumn, pdfStyle) {
+    const minFontSize = 6;
+    let fontSize = layout.fontSize;
+    
+    // Keep a hundredth of a millimetre spare so adding up the rows can't tip the last one over
+    const availableHeight = usableHeight - 0.01;
+    
+    while (true) {
+        // Wrapped lines sit just over a line of text apart (font size is in points: 1pt = 0.3528mm)
+        const wrappedLineHeight = fontSize * 0.3528 * 1.25 * pdfStyle.lineSpacing;
+        const letterSpacing = pdfStyle.letterSpacing * fontSize * 0.3528;
+        doc.setFontSize(fontSize);
+        
+        // Extra height needed by the tallest column in any version
+        let extraHeight = 0;
+        contents.forEach(rows => {
+            splitPdfRowsIntoColumns(rows, layout.columns, rowsPerColumn).forEach(columnRows => {
+                let columnExtra = 0;
+                columnRows.forEach(row => {
+                    if (!row.question) {
+                        return; // Headings are short enough to stay on one line
+                    }
+                    const spacing = row.number >= 10 ? '  ' : ' ';
+                    const lines = splitPdfText(doc, `${row.number})${spacing}${row.question.questionText}`, columnWidth - 8, letterSpacing);
+                    columnExtra += (lines.length - 1) * wrappedLineHeight;
+                });
+                extraHeight = Math.max(extraHeight, columnExtra);
+            });
+        });
+        
+        // The layout's line height is rounded, so even rows that don't wrap may need a little less
+        const lineHeight = Math.min(layout.lineHeight, (availableHeight - extraHeight) / rowsPerColumn);
+        
+        // Keep a clear gap between one question and the next, shrinking the font if needed
+        if (extraHeight === 0 || lineHeight >= wrappedLineHeight * 1.5) {
+            return Object.assign({}, layout, { fontSize: fontSize, lineHeight: lineHeight, wrappedLineHeight: wrappedLineHeight });
+        }
+        if (fontSize <= minFontSize) {
+            // At the smallest font the questions may sit closer, but never overlap
+            return lineHeight >= wrappedLineHeight
+                ? Object.assign({}, layout, { fontSize: fontSize, lineHeight: lineHeight, wrappedLineHeight: wrappedLineHeight })
+                : null;
+        }
+        fontSize = Math.max(minFontSize, Math.round((fontSize - 0.5) * 10) / 10);
+    }
+}
+
+/**
+ * Renders a single page of the PDF worksheet
+ * @param {Object} doc - jsPDF document instance
+ * @param {Object[]} rows - Questions and table headings, in order (see getPdfRows)
+ * @param {Object} layout - Layout configuration object (see fitPdfLayoutToWrappedText)
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @param {number} margin - Page margin in mm
+ * @param {number} columnWidth - Width of each column in mm
+ * @param {number} columnGap - Gap between columns in mm
+ * @param {number} startY - Starting Y position after title
+ * @param {number} maxY - Maximum Y position before footer
+ * @param {number} rowsPerColumn - Number of rows (questions and headings) per column
+ * @param {number} lineSpacing - Spacing between lines
+ * @param {boolean} showAnswers - Whether to show answers (true) or blanks (false)
+ * @param {string} worksheetCode - Worksheet code shown in the footer
+ * @param {string|null} versionLabel - Version shown in the title (e.g. "Version B"), or null for a single version
+ * @param {boolean} includeHeader - Whether to draw the student header block (question pages only)
+ * @param {Object} titleBlock - Title, instructions and the extra height they need (see drawPdfTitle)
+ * @param {Object} pdfStyle - Letter spacing, line spacing and colours (see downloadWorksheetPdf)
+ * @returns {boolean} True if every question fitted on the page, false if any were left off
+ */
+function renderPdfPage(doc, rows, layout, pageWidth, pageHeight, margin, columnWidth, columnGap, startY, maxY, rowsPerColumn, lineSpacing, showAnswers, worksheetCode, versionLabel, includeHeader, titleBlock, pdfStyle) {
+    const colors = pdfStyle.colors;
+    drawPdfBackground(doc, pageWidth, pageHeight, colors);
+    
+    // Title and instructions
+    drawPdfTitle(doc, pageWidth, margin, showAnswers, versionLabel, titleBlock, colors);
+    
+    // Student header block - left empty on answer pages so the questions still line up
+    if (includeHeader && !showAnswers) {
+        const questionCount = rows.filter(row => row.question).length;
+        drawPdfHeaderFields(doc, margin, margin + 18 + titleBlock.extraHeight, pageWidth - (margin * 2), questionCount, colors);
+    }
+    
+    // Set font for questions
+    doc.setFontSize(layout.fontSize);
+    doc.setFont(undefined, 'normal');
+    
+    // Space after each letter in mm (font size is in points: 1pt = 0.3528mm)
+    const letterSpacing = pdfStyle.letterSpacing * layout.fontSize * 0.3528;
+    let allFitted = true;
+    
+    // Distribute rows across columns
+    splitPdfRowsIntoColumns(rows, layout.columns, rowsPerColumn).forEach((columnRows, col) => {
+        const columnX = margin + col * (columnWidth + columnGap);
+        let yPosition = startY;
+        
+        for (const row of columnRows) {
+            // Check if we would overflow
+            if (yPosition > maxY - lineSpacing) {
+                allFitted = false;
+                break;
+            }
+            
+            // Table headings are bold, in the same size as the questions
+            if (row.heading) {
+                doc.setFont(undefined, 'bold');
+                doc.setTextColor(...colors.text);
+                doc.text(row.heading, columnX, yPosition, { charSpace: letterSpacing });
+                doc.setFont(undefined, 'normal');
+                yPosition += lineSpacing;
+                continue;
+            }
+            
+            const question = row.question;
+            const questionNumber = row.number;
+            const spacing = questionNumber >= 10 ? '  ' : ' '; // Extra space for double digits
+            
+            let questionText;
+            let answerStart = -1;
+            let answerEnd = -1;
+            
+            if (showAnswers) {
+                // Put the answer where the blank was - we'll color the answer separately
+                const parts = splitQuestionText(question);
+                const prefix = `${questionNumber})${spacing}${parts.before}`;
+                const answerValue = String(question.answer);
+                questionText = `${prefix}${answerValue}${parts.after}`;
+                answerStart = prefix.length;
+                answerEnd = answerStart + answerValue.length;
+            } else {
+                // Keep the blank
+                questionText = `${questionNumber})${spacing}${question.questionText}`;
+            }
+            
+            // Split text if too long for column
+            const maxWidth = columnWidth - 8; // Leave small padding
+            const lines = splitPdfText(doc, questionText, maxWidth, letterSpacing);
+            
+            // Track where each wrapped line starts in the full text so the answer
+            // can be found even when it is not at the end of the last line
+            let searchFrom = 0;
+            
+            // Draw each line using the exact line spacing
+            lines.forEach((line, lineIndex) => {
+                const lineStart = questionText.indexOf(line, searchFrom);
+                if (lineStart !== -1) {
+                    searchFrom = lineStart + line.length;
+                }
+                
+                if (yPosition > maxY - lineSpacing) {
+                    allFitted = false;
+                    return; // Skip if would overflow
+                }
+                
+                // If showing answers and the answer is on this line, draw it in the answer colour
+                const highlightStart = Math.max(answerStart - lineStart, 0);
+                const highlightEnd = Math.min(answerEnd - lineStart, line.length);
+                if (showAnswers && lineStart !== -1 && highlightStart < highlightEnd) {
+                    drawPdfTextWithHighlight(doc, line, highlightStart, highlightEnd, columnX, yPosition, colors, letterSpacing);
+                } else {
+                    // Draw line in the text colour
+                    doc.setTextColor(...colors.text);
+                    doc.text(line, columnX, yPosition, { charSpace: letterSpacing });
+                }
+                
+                // Only advance if not the last line of the question
+                if (lineIndex < lines.length - 1) {
+                    yPosition += layout.wrappedLineHeight; // Wrapped lines sit closer together
+                }
+            });
+            
+            // Move to next question position
+            yPosition += lineSpacing;
+        }
+    });
+    
+    // Add footer at the bottom of the page
+    drawPdfFooter(doc, pageWidth, pageHeight, worksheetCode, colors);
+    
+    return allFitted;
+}
+
+/**
+ * Renders a single page of the multiplication grid (times table square) worksheet
+ * Question pages leave the blanked-out cells empty; answer pages fill them in with the answer
+ * colour on a tinted background (red on pink in the standard colour scheme)
+ * @param {Object} doc - jsPDF document instance
+ * @param {Object} grid - Grid from generateGrid()
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @param {number} margin - Page margin in mm
+ * @param {number} startY - Top of the content area after the title (and header block, if any)
+ * @param {boolean} showAnswers - Whether to fill in the blanked-out cells
+ * @param {string} worksheetCode - Worksheet code shown in the footer
+ * @param {string|null} versionLabel - Version shown in the title (e.g. "Version B"), or null for a single version
+ * @param {boolean} includeHeader - Whether to draw the student header block (question pages only)
+ * @param {Object} titleBlock - Title, instructions and the extra height they need (see drawPdfTitle)
+ * @param {Object} pdfStyle - Letter spacing, line spacing and colours (see downloadWorksheetPdf);
+ *                            only the colours apply to the grid
+ */
+function renderPdfGridPage(doc, grid, pageWidth, pageHeight, margin, startY, showAnswers, worksheetCode, versionLabel, includeHeader, titleBlock, pdfStyle) {
+    const colors = pdfStyle.colors;
+    drawPdfBackground(doc, pageWidth, pageHeight, colors);
+    
+    // Title and instructions
+    drawPdfTitle(doc, pageWidth, margin, showAnswers, versionLabel, titleBlock, colors);
+    
+    // Student header block - the score is out of the number of blank cells
+    if (includeHeader && !showAnswers) {
+        drawPdfHeaderFields(doc, margin, margin + 18 + titleBlock.extraHeight, pageWidth - (margin * 2), grid.blankCount, colors);
+    }
+    
+    // Square cells as big as will fit, counting the header row and column, up to 20mm
+    const rowCount = grid.rowHeaders.length + 1;
+    const columnCount = grid.columnHeaders.length + 1;
+    const gridTop = startY - 5; // startY is a text baseline, so the grid can start a little higher
+    const maxY = pageHeight - margin;
+    const cellSize = Math.min((pageWidth - (margin * 2)) / columnCount, (maxY - gridTop) / rowCount, 20);
+    const gridLeft = (pageWidth - cellSize * columnCount) / 2;
+    
+    // Numbers take up about half the cell height (font size is in points: 1pt = 0.3528mm), or less
+    // if the widest one (such as 20000 from a 1000× custom table) would not fit across the cell
+    doc.setFont(undefined, 'bold');
+    const cellTexts = grid.rowHeaders.concat(grid.columnHeaders, ...grid.cells.map(row => row.map(cell => cell.answer)));
+    const widestTextPerPoint = Math.max(...cellTexts.map(text => doc.getTextWidth(String(text)) / doc.getFontSize()));
+    doc.setFontSize(Math.min(16, cellSize * 0.5 / 0.3528, cellSize * 0.85 / widestTextPerPoint));
+    doc.setDrawColor(...colors.text);
+    doc.setLineWidth(0.3);
+    
+    /**
+     * Draws one cell of the grid with its text centred
+     * @param {number} rowIndex - Row of the cell (0 is the header row)
+     * @param {number} columnIndex - Column of the cell (0 is the header column)
+     * @param {string} text - Text to show in the cell
+     * @param {number[]|null} fillColor - RGB background colour, or null for none
+     * @param {number[]} textColor - RGB text colour
+     * @param {string} fontStyle - 'normal' or 'bold'
+     */
+    const drawCell = (rowIndex, columnIndex, text, fillColor, textColor, fontStyle) => {
+        const x = gridLeft + columnIndex * cellSize;
+        const y = gridTop + rowIndex * cellSize;
+        if (fillColor) {
+            doc.setFillColor(fillColor[0], fillColor[1], fillColor[2]);
+            doc.rect(x, y, cellSize, cellSize, 'FD');
+        } else {
+            doc.rect(x, y, cellSize, cellSize);
+        }
+        if (text !== '') {
+            doc.setFont(undefined, fontStyle);
+            doc.setTextColor(textColor[0], textColor[1], textColor[2]);
+            doc.text(text, x + cellSize / 2, y + cellSize / 2, { align: 'center', baseline: 'middle' });
+        }
+    };
+    
+    // Header row and column
+    drawCell(0, 0, '×', colors.headerFill, colors.text, 'bold');
+    grid.columnHeaders.forEach((column, columnIndex) => {
+        drawCell(0, columnIndex + 1, String(column), colors.headerFill, colors.text, 'bold');
+    });
+    grid.rowHeaders.forEach((row, rowIndex) => {
+        drawCell(rowIndex + 1, 0, String(row), colors.headerFill, colors.text, 'bold');
+    });
+    
+    // Products - blanked-out cells are empty on the question page and highlighted on the answer page
+    grid.cells.forEach((row, rowIndex) => {
+        row.forEach((cell, columnIndex) => {
+            if (!cell.blank) {
+                drawCell(rowIndex + 1, columnIndex + 1, String(cell.answer), null, colors.text, 'normal');
+            } else if (showAnswers) {
+                drawCell(rowIndex + 1, columnIndex + 1, String(cell.answer), colors.answerFill, colors.answer, 'bold');
+            } else {
+                drawCell(rowIndex + 1, columnIndex + 1, '', null, colors.text, 'normal');
+            }
+        });
+    });
+    
+    // Add footer at the bottom of the page
+    drawPdfFooter(doc, pageWidth, pageHeight, worksheetCode, colors);
+}
+
+/**
+ * Tints a whole PDF page with the colour scheme's background (white pages are left as they are)
+ * @param {Object} doc - jsPDF document instance
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @param {Object} colors - Colour scheme (see COLOR_SCHEMES)
+ */
+function drawPdfBackground(doc, pageWidth, pageHeight, colors) {
+    if (colors.background) {
+        doc.setFillColor(...colors.background);
+        doc.rect(0, 0, pageWidth, pageHeight, 'F');
+    }
+}
+
+/**
+ * Adds the difficulty level to a title, e.g. "Timestable worksheet - Hard"
+ * @param {string} title - Worksheet title
+ * @param {string} difficulty - Key of DIFFICULTY_LEVELS, or 'any' (or undefined) to leave the title as it is
+ * @returns {string} Title text
+ */
+function addDifficultyToTitle(title, difficulty) {
+    return isDifficultyLevel(difficulty) ? `${title} - ${DIFFICULTY_LEVELS[difficulty].label}` : title;
+}
+
+/**
+ * Builds the full title for a PDF page, e.g. "Week 3 - Version A - Answer key"
+ * @param {string} title - Worksheet title
+ * @param {string|null} versionLabel - Version (e.g. "Version B"), or null for a single version
+ * @param {boolean} showAnswers - Whether this is an answer key page
+ * @returns {string} Title text
+ */
+function getPdfTitleText(title, versionLabel, showAnswers) {
+    const baseTitle = versionLabel ? `${title} - ${versionLabel}` : title;
+    return showAnswers ? `${baseTitle} - Answer key` : baseTitle;
+}
+
+/**
+ * Works out how a title and instruction line fit across the top of a PDF page
+ * The title shrinks from 20pt to 14pt to stay on one line, then wraps onto a second line
+ * (shrinking down to 10pt if it has to). Instructions wrap onto up to two lines.
+ * Anything still too long is cut short with an ellipsis.
+ * @param {Object} doc - jsPDF document instance (used to measure text)
+ * @param {string} titleText - Full title (see getPdfTitleText)
+ * @param {string} instructions - Instruction line, or '' for none
+ * @param {number} maxWidth - Width available in mm
+ * @returns {Object} Object with titleLines, titleFontSize, titleLineHeight, instructionLines and
+ *                   extraHeight (mm needed beyond a single 20pt title line)
+ */
+function layoutPdfTitle(doc, titleText, instructions, maxWidth) {
+    const instructionFontSize = 11;
+    const instructionLineHeight = 5;
+    
+    doc.setFont(undefined, 'bold');
+    let titleFontSize = 20;
+    let titleLines;
+    while (true) {
+        doc.setFontSize(titleFontSize);
+        titleLines = doc.splitTextToSize(titleText, maxWidth);
+        if (titleLines.length === 1 || (titleFontSize <= 14 && titleLines.length <= 2) || titleFontSize <= 10) {
+            break;
+        }
+        titleFontSize--;
+    }
+    titleLines = limitPdfLines(doc, titleLines, 2, maxWidth);
+    // Line height in mm (font size is in points: 1pt = 0.3528mm)
+    const titleLineHeight = titleFontSize * 0.3528 * 1.2;
+    
+    let instructionLines = [];
+    if (instructions) {
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(instructionFontSize);
+        instructionLines = limitPdfLines(doc, doc.splitTextToSize(instructions, maxWidth), 2, maxWidth);
+    }
+    
+    const extraHeight = (titleLines.length - 1) * titleLineHeight +
+        (instructionLines.length > 0 ? instructionLines.length * instructionLineHeight + 1 : 0);
+    
+    return {
+        titleLines: titleLines,
+        titleFontSize: titleFontSize,
+        titleLineHeight: titleLineHeight,
+        instructionLines: instructionLines,
+        instructionFontSize: instructionFontSize,
+        instructionLineHeight: instructionLineHeight,
+        extraHeight: extraHeight
+    };
+}
+
+/**
+ * Keeps the first few wrapped lines, ending the last one with an ellipsis if text was cut
+ * Uses the font currently set on the document to measure
+ * @param {Object} doc - jsPDF document instance
+ * @param {string[]} lines - Wrapped lines from splitTextToSize()
+ * @param {number} maxLines - Most lines to keep
+ * @param {number} maxWidth - Width available in mm
+ * @returns {string[]} Lines to draw
+ */
+function limitPdfLines(doc, lines, maxLines, maxWidth) {
+    if (lines.length <= maxLines) {
+        return lines;
+    }
+    const kept = lines.slice(0, maxLines);
+    let lastLine = kept[maxLines - 1];
+    while (lastLine.length > 0 && doc.getTextWidth(`${lastLine}…`) > maxWidth) {
+        lastLine = lastLine.slice(0, -1);
+    }
+    kept[maxLines - 1] = `${lastLine.trimEnd()}…`;
+    return kept;
+}
+
+/**
+ * Draws the worksheet title, and the instruction line if there is one, at the top of a PDF page
+ * @param {Object} doc - jsPDF document instance
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} margin - Page margin in mm
+ * @param {boolean} showAnswers - Whether this is an answer key page
+ * @param {string|null} versionLabel - Version shown in the title (e.g. "Version B"), or null for a single version
+ * @param {Object} titleBlock - Object with title, instructions ('' for none) and extraHeight
+ *                              (the room left for the tallest title in the PDF)
+ * @param {Object} colors - Colour scheme (see COLOR_SCHEMES)
+ */
+function drawPdfTitle(doc, pageWidth, margin, showAnswers, versionLabel, titleBlock, colors) {
+    const titleText = getPdfTitleText(titleBlock.title, versionLabel, showAnswers);
+    const titleLayout = layoutPdfTitle(doc, titleText, titleBlock.instructions, pageWidth - (margin * 2));
+    
+    doc.setFontSize(titleLayout.titleFontSize);
+    doc.setFont(undefined, 'bold');
+    doc.setTextColor(...colors.text);
+    let y = margin + 8;
+    titleLayout.titleLines.forEach((line, index) => {
+        if (index > 0) {
+            y += titleLayout.titleLineHeight;
+        }
+        doc.text(line, pageWidth / 2, y, { align: 'center' });
+    });
+    
+    // Instructions sit just under the title in smaller, softer text
+    if (titleLayout.instructionLines.length > 0) {
+        doc.setFontSize(titleLayout.instructionFontSize);
+        doc.setFont(undefined, 'normal');
+        doc.setTextColor(...colors.instructions);
+        y += 2;
+        titleLayout.instructionLines.forEach(line => {
+            y += titleLayout.instructionLineHeight;
+            doc.text(line, pageWidth / 2, y, { align: 'center' });
+        });
+    }
+}
+
+/**
+ * Draws the footer (site name and worksheet code) at the bottom of a PDF page
+ * @param {Object} doc - jsPDF document instance
+ * @param {number} pageWidth - Page width in mm
+ * @param {number} pageHeight - Page height in mm
+ * @param {string|null} worksheetCode - Worksheet code to show (null for imported sets without one)
+ * @param {Object} colors - Colour scheme (see COLOR_SCHEMES)
+ */
+function drawPdfFooter(doc, pageWidth, pageHeight, worksheetCode, colors) {
+    doc.setFontSize(8);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(...colors.footer); // Softer colour for a subtle footer
+    const footerText = worksheetCode
+        ? `timestableworksheet.co.uk  ·  Worksheet code: ${worksheetCode}`
+        : 'timestableworksheet.co.uk';
+    doc.text(footerText, pageWidth / 2, pageHeight - 8, { align: 'center' });
+}
+
+/**
+ * Draws the Name, Date, Class, Score and Time taken fields under the PDF title
+ * Each field is a label followed by a line to write on, laid out in two rows
+ * @param {Object} doc - jsPDF document instance
+ * @param {number} x - Left edge of the block
+ * @param {number} y - Baseline of the first row
+ * @param {number} width - Width of the block
+ * @param {number} questionCount - Number of questions, shown as "Score: __ / N"
+ * @param {Object} colors - Colour scheme (see COLOR_SCHEMES)
+ */
+function drawPdfHeaderFields(doc, x, y, width, questionCount, colors) {
+    const rows = [
+        [
+            { label: 'Name:', width: 0.5 },
+            { label: 'Date:', width: 0.25 },
+            { label: 'Class:', width: 0.25 }
+        ],
+        [
+            { label: 'Score:', width: 0.5, suffix: `/ ${questionCount}` },
+            { label: 'Time taken:', width: 0.5 }
+        ]
+    ];
+    const fieldGap = 6; // Space between one field's line and the next field's label
+    const rowSpacing = 8;
+    
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'normal');
+    doc.setTextColor(...colors.text);
+    doc.setDrawColor(...colors.text);
+    doc.setLineWidth(0.2);
+    
+    rows.forEach((fields, rowIndex) => {
+        const rowY = y + rowIndex * rowSpacing;
+        let fieldX = x;
+        fields.forEach((field, fieldIndex) => {
+            const isLast = fieldIndex === fields.length - 1;
+            const fieldWidth = width * field.width - (isLast ? 0 : fieldGap);
+            const labelWidth = doc.getTextWidth(field.label) + 2;
+            
+            // Score only needs a short line before the "/ N"
+            const lineEnd = field.suffix
+                ? fieldX + labelWidth + 15
+                : fieldX + fieldWidth;
+            
+            doc.text(field.label, fieldX, rowY);
+            doc.line(fieldX + labelWidth, rowY + 1, lineEnd, rowY + 1);
+            if (field.suffix) {
+                doc.text(field.suffix, lineEnd + 2, rowY);
+            }
+            
+            fieldX += fieldWidth + (isLast ? 0 : fieldGap);
+        });
+    });
+}
+
+/**
+ * Draws a line of PDF text with part of it (the answer) in the answer colour (red in the standard scheme)
+ * @param {Object} doc - jsPDF document instance
+ * @param {string} line - Line of text to draw
+ * @param {number} highlightStart - Index of the first answer character
+ * @param {number} highlightEnd - Index after the last answer character
+ * @param {number} x - X position of the start of the line
+ * @param {number} y - Y position (baseline) of the line
+ * @param {Object} colors - Colour scheme (see COLOR_SCHEMES)
+ * @param {number} letterSpacing - Space after each letter in mm, or 0 for none
+ */
+function drawPdfTextWithHighlight(doc, line, highlightStart, highlightEnd, x, y, colors, letterSpacing) {
+    const beforeAnswer = line.substring(0, highlightStart);
+    const answer = line.substring(highlightStart, highlightEnd);
+    const afterAnswer = line.substring(highlightEnd);
+    let currentX = x;
+    
+    // Draw text before answer in the text colour
+    doc.setTextColor(...colors.text);
+    if (beforeAnswer) {
+        doc.text(beforeAnswer, currentX, y, { charSpace: letterSpacing });
+        currentX += getPdfTextWidth(doc, beforeAnswer, letterSpacing);
+    }
+    
+    // Draw answer in the answer colour
+    doc.setTextColor(...colors.answer);
+    doc.text(answer, currentX, y, { charSpace: letterSpacing });
+    currentX += getPdfTextWidth(doc, answer, letterSpacing);
+    
+    // Draw text after answer (e.g. "× 7 = 56" in missing-factor questions) in the text colour
+    if (afterAnswer) {
+        doc.setTextColor(...colors.text);
+        doc.text(afterAnswer, currentX, y, { charSpace: letterSpacing });
+    }
+}
+
+/**
+ * Measures a line of PDF text in the current font, including any letter spacing
+ * @param {Object} doc - jsPDF document instance
+ * @param {string} text - Text to measure
+ * @param {number} letterSpacing - Space after each letter in mm, or 0 for none
+ * @returns {number} Width in mm
+ */
+function getPdfTextWidth(doc, text, letterSpacing) {
+    return doc.getTextWidth(text) + letterSpacing * text.length;
+}
+
+/**
+ * Wraps PDF text onto lines no wider than maxWidth, breaking between words
+ * Text without letter spacing uses jsPDF's splitTextToSize(); jsPDF does not measure letter
+ * spacing the way it draws it, so spaced text is measured with getPdfTextWidth() instead
+ * @param {Object} doc - jsPDF document instance
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Widest a line may be, in mm
+ * @param {number} letterSpacing - Space after each letter in mm, or 0 for none
+ * @returns {string[]} Lines of text
+ */
+function splitPdfText(doc, text, maxWidth, letterSpacing) {
+    if (!letterSpacing) {
+        return doc.splitTextToSize(text, maxWidth);
+    }
+    const lines = [];
+    let line = '';
+    text.split(' ').forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && getPdfTextWidth(doc, candidate, letterSpacing) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+/* ============================================
+   Presentation Mode
+   ============================================ */
+
+// Global state for presentation mode
+let presentationAnswersVisible = false;
+let presentationResizeHandler = null; // Store resize handler for cleanup
+let presentationKeyboardHandler = null; // Store keyboard handler for cleanup
+let helpTooltipAutoShowTimeout = null; // Store auto-show timeout for cleanup
+let helpTooltipClickOutsideHandler = null; // Store click outside handler for cleanup
+let presentationFontSizeMultiplier = 1.0; // User-controlled font size multiplier (default: 1.0 = 100%)
+let presentationFontWeight = 'normal'; // User-controlled font weight (default: 'normal')
+let presentationView = 'grid'; // 'grid' (all questions) or 'flashcard' (one question at a time)
+let presentationCardIndex = 0; // Question shown in flashcard view
+let presentationCardAnswerVisible = false; // Whether the current flashcard shows its answer
+
+/* ============================================
+   Presentation Mode Layout Calculation
+   ============================================ */
+
+/**
+ * Presentation Layout Constants
+ * 
+ * Location: app.js lines ~552-570
+ * 
+ * Adjust these constants to tweak the presentation layout behavior:
+ * - PRESENTATION_MIN_FONT_PX: Minimum font size (never go below this, default: 18)
+ * - PRESENTATION_MAX_FONT_PX: Maximum font size (default: 44)
+ * 
+ * Font size tiers are defined in calculatePresentationLayout() based on question count:
+ * - <= 12 questions: 3 columns, 40px font
+ * - 13-24 questions: 4 columns, 32px font
+ * - 25-40 questions: 4 columns, 26px font
+ * - 41-60 questions: 5 columns, 22px font
+ * - > 60 questions: 5 columns, 18px font
+ */
+const PRESENTATION_MIN_FONT_PX = 18;
+const PRESENTATION_MAX_FONT_PX = 44;
+
+/**
+ * Updates presentation mode column count based on question count
+ * Only affects presentation mode, not normal worksheet or PDF
+ * 
+ * @param {number} questionCount - Number of questions to display
+ * @returns {number} Column count (3, 4, or 5)
+ */
+function updatePresentationColumns(questionCount) {
+    if (questionCount >= 1 && questionCount <= 9) {
+        return 3;
+    } else if (questionCount >= 10 && questionCount <= 20) {
+        return 4;
+    } else if (questionCount >= 21 && questionCount <= 40) {
+        return 5;
+    } else {
+        // 40+ questions: 5 columns with wrapping
+        return 5;
+    }
+}
+
+/**
+ * Calculates optimal columns and font size for presentation mode
+ * Font size is primarily driven by question count, with simple tiers
+ * 
+ * Location: app.js lines ~572-620
+ * 
+ * Never goes below PRESENTATION_MIN_FONT_PX. If questions don't fit,
+ * allows scrolling instead of shrinking font further.
+ * 
+ * @param {number} questionCount - Number of questions to display
+ * @returns {Object} Object with columns and fontSizePx
+ */
+function calculatePresentationLayout(questionCount) {
+    let fontSize;
+
+    // Get column count from the new responsive function
+    const columns = updatePresentationColumns(questionCount);
+
+    // Font size tiers based on question count
+    if (questionCount <= 12) {
+        // Small sets: very large text
+        fontSize = 40;
+    } else if (questionCount <= 24) {
+        // Medium-small sets: large text
+        fontSize = 32;
+    } else if (questionCount <= 40) {
+        // Medium sets: medium text
+        fontSize = 26;
+    } else if (questionCount <= 60) {
+        // Medium-large sets: smaller but readable
+        fontSize = 22;
+    } else {
+        // Large sets: small but legible
+        fontSize = 18;
+    }
+
+    // Clamp font size in case of very small screens
+    // Use viewport height as a constraint, but don't let it drive the size
+    const maxAllowed = Math.min(PRESENTATION_MAX_FONT_PX, window.innerHeight / 18);
+    fontSize = Math.max(PRESENTATION_MIN_FONT_PX, Math.min(fontSize, maxAllowed));
+
+    return {
+        columns: columns,
+        fontSizePx: Math.round(fontSize)
+    };
+}
+
+/**
+ * Updates the presentation layout based on current questions and viewport
+ * Applies CSS variables to the overlay element
+ */
+function updatePresentationLayout() {
+    const overlay = document.getElementById('presentationOverlay');
+    
     // Check if overlay is visible
     if (!overlay || overlay.style.display === 'none') {
         return;
     }
     
-    if (currentQuestions.length === 0) {
-        return;
+    if (currentQuestions.length === 0) {
+        return;
+    }
+    
+    // Calculate optimal layout
+    const layout = calculatePresentationLayout(currentQuestions.length);
+    
+    // Apply CSS variables to overlay
+    overlay.style.setProperty('--presentation-columns', layout.columns);
+    overlay.style.setProperty('--presentation-font-size', layout.fontSizePx + 'px');
+    
+    // Apply user-controlled font size (multiplier applied to base font size)
+    const userFontSize = layout.fontSizePx * presentationFontSizeMultiplier;
+    overlay.style.setProperty('--presentation-user-font-size', userFontSize + 'px');
+    
+    // Apply user-controlled font weight
+    overlay.style.setProperty('--presentation-user-font-weight', presentationFontWeight);
+    
+    // Flashcards size themselves to the screen, scaled by the same user multiplier
+    overlay.style.setProperty('--presentation-font-multiplier', presentationFontSizeMultiplier);
+}
+
+/**
+ * Opens the presentation mode overlay
+ * Renders the current questions in presentation format
+ */
+function openPresentationMode() {
+    if (currentQuestions.length === 0) {
+        return; // Don't open if no questions generated
+    }
+    
+    const overlay = document.getElementById('presentationOverlay');
+    overlay.style.display = 'flex';
+    
+    // Reset answers visibility and go back to the first flashcard
+    // (the grid/flashcard view itself is kept from last time)
+    presentationAnswersVisible = false;
+    presentationCardIndex = 0;
+    presentationCardAnswerVisible = false;
+    updateAnswersToggleButton();
+    updateViewToggleButton();
+    
+    // Start with the challenge timer stopped and full
+    resetChallengeTimer();
+    
+    // Font size and weight are kept from last time (see restoreSettingsFromStorage)
+    updateFontWeightButton();
+    
+    // Show the custom title and instructions, if any
+    updatePresentationHeading();
+    
+    // A link can only open these questions if their settings and code can make them again
+    const copyLinkBtn = document.getElementById('copyPresentationLinkBtn');
+    copyLinkBtn.disabled = !canShareCurrentQuestions();
+    copyLinkBtn.title = copyLinkBtn.disabled ? 'Imported, weak-fact and grid questions cannot be shared as a link' : '';
+    
+    // Use the chosen reading style and colour scheme
+    updatePresentationReadingStyle();
+    
+    // Render questions in presentation mode (this also updates layout)
+    renderPresentationWorksheet(currentQuestions, false);
+    
+    // Set up event listeners if not already set
+    setupPresentationEventListeners();
+    
+    // Set up resize handler for layout updates
+    setupPresentationResizeHandler();
+    
+    // Set up keyboard shortcuts for presentation mode
+    setupPresentationKeyboardShortcuts();
+    
+    // Set up help tooltip
+    setupHelpTooltip();
+    
+    // Focus the close button for keyboard accessibility
+    document.getElementById('closePresentationBtn').focus();
+    
+    // Prevent body scroll when overlay is open
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Shows the custom worksheet title, the difficulty level and the instruction line in the presentation header
+ * Falls back to the default title, and uses a smaller font for long titles so they wrap neatly
+ */
+function updatePresentationHeading() {
+    // The title and instructions are the ones the questions were made with, not the form's now
+    const settings = currentSettings;
+    const titleEl = document.getElementById('presentationTitle');
+    const instructionsEl = document.getElementById('presentationInstructions');
+    
+    const title = addDifficultyToTitle(settings.title || DEFAULT_PRESENTATION_TITLE, currentDifficulty);
+    titleEl.textContent = title;
+    titleEl.classList.toggle('presentation-title-long', title.length > 30);
+    
+    instructionsEl.textContent = settings.instructions;
+    instructionsEl.hidden = !settings.instructions;
+}
+
+/**
+ * Applies the reading style and colour scheme to the presentation questions (see READING_STYLES
+ * and COLOR_SCHEMES) through CSS variables on the overlay
+ * The standard style and scheme remove the variables, leaving the stylesheet's own font and colours
+ */
+function updatePresentationReadingStyle() {
+    const settings = getWorksheetSettings();
+    const readingStyle = READING_STYLES[settings.readingStyle] || READING_STYLES.standard;
+    const colors = settings.colorScheme !== 'standard' ? COLOR_SCHEMES[settings.colorScheme] : null;
+    const overlay = document.getElementById('presentationOverlay');
+    
+    const variables = {
+        '--presentation-reading-font': readingStyle.font ? `"${readingStyle.font.name}", var(--font-family)` : null,
+        '--presentation-letter-spacing': readingStyle.letterSpacing ? `${readingStyle.letterSpacing}em` : null,
+        '--presentation-line-spacing': readingStyle.lineSpacing !== 1 ? readingStyle.lineSpacing : null,
+        '--presentation-background': colors ? `rgb(${colors.background.join(', ')})` : null,
+        '--presentation-text': colors ? `rgb(${colors.text.join(', ')})` : null,
+        '--presentation-answer': colors ? `rgb(${colors.answer.join(', ')})` : null
+    };
+    Object.keys(variables).forEach(name => {
+        if (variables[name] === null) {
+            overlay.style.removeProperty(name);
+        } else {
+            overlay.style.setProperty(name, variables[name]);
+        }
+    });
+}
+
+/**
+ * Closes the presentation mode overlay
+ */
+function closePresentationMode() {
+    const overlay = document.getElementById('presentationOverlay');
+    overlay.style.display = 'none';
+    
+    // Restore body scroll
+    document.body.style.overflow = '';
+    
+    // Remove resize handler
+    removePresentationResizeHandler();
+    
+    // Remove keyboard shortcuts
+    removePresentationKeyboardShortcuts();
+    
+    // Remove help tooltip handlers
+    removeHelpTooltip();
+    
+    // Stop the challenge timer
+    pauseChallengeTimer();
+    
+    // Exit fullscreen if active
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {
+            // Ignore errors if fullscreen API fails
+        });
+    }
+}
+
+/**
+ * Renders questions in presentation mode
+ * 
+ * Location: app.js lines ~699-759
+ * 
+ * Creates HTML structure:
+ * - When answers hidden: <div class="presentation-question">1) 6 × 12 =</div>
+ * - When answers shown: <div class="presentation-question">1) 6 × 12 = 72</div>
+ * 
+ * Simple single-line layout with no answer lines or underscores, except for
+ * missing-factor questions, which show a blank where the answer goes.
+ * 
+ * In flashcard view only the current question is rendered, and showAnswers is
+ * ignored in favour of the current card's own answer state.
+ * 
+ * @param {Object[]} questions - Array of question objects
+ * @param {boolean} showAnswers - Whether to show answers
+ */
+function renderPresentationWorksheet(questions, showAnswers) {
+    const questionsList = document.getElementById('presentationQuestionsList');
+    
+    // Clear previous content
+    questionsList.innerHTML = '';
+    questionsList.classList.toggle('presentation-flashcard-view', presentationView === 'flashcard');
+    
+    if (presentationView === 'flashcard') {
+        renderPresentationFlashcard(questionsList, questions);
+        updatePresentationLayout();
+        return;
+    }
+    
+    // Render questions - simplified single-line structure
+    // Answers are shown inline with questions when showAnswers is true
+    questions.forEach((question, index) => {
+        const questionDiv = document.createElement('div');
+        questionDiv.className = 'presentation-question';
+        if (question.type === 'word-problem') {
+            // Word problems are sentences, so let them wrap within the column
+            questionDiv.classList.add('presentation-question-word');
+        }
+        if (index === challengePaceIndex) {
+            // Highlight the question the class should be on when pacing is switched on
+            questionDiv.classList.add('presentation-question-paced');
+        }
+        appendPresentationQuestionContent(questionDiv, question, `${index + 1}) `, showAnswers);
+        questionsList.appendChild(questionDiv);
+    });
+    
+    // Update layout after rendering
+    updatePresentationLayout();
+}
+
+/**
+ * Appends a question's text to an element, with the answer or a blank where the blank was
+ * @param {HTMLElement} element - Element to fill
+ * @param {Object} question - Question object
+ * @param {string} label - Text to put before the question, e.g. "1) "
+ * @param {boolean} showAnswer - Whether to show the answer
+ */
+function appendPresentationQuestionContent(element, question, label, showAnswer) {
+    const parts = splitQuestionText(question);
+    element.appendChild(document.createTextNode(`${label}${parts.before}`));
+    
+    if (showAnswer) {
+        // Show question with answer in red where the blank was: "1) 6 × 12 = 72"
+        const answerSpan = document.createElement('span');
+        answerSpan.className = 'presentation-answer';
+        answerSpan.textContent = question.answer;
+        element.appendChild(answerSpan);
+    } else if (parts.after) {
+        // Blank in the middle of the question: "1) ___ × 7 = 42"
+        const blankSpan = document.createElement('span');
+        blankSpan.className = 'presentation-blank';
+        element.appendChild(blankSpan);
+    }
+    // Otherwise show question without answer: "1) 6 × 12 ="
+    
+    element.appendChild(document.createTextNode(parts.after));
+}
+
+/**
+ * Renders the current flashcard: one large question with a counter and previous/next buttons
+ * 
+ * Creates HTML structure:
+ * <div class="presentation-flashcard">
+ *     <div class="presentation-flashcard-question">6 × 12 =</div>
+ *     <div class="presentation-flashcard-nav">‹ 3 / 20 ›</div>
+ * </div>
+ * 
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object[]} questions - Array of question objects
+ */
+function renderPresentationFlashcard(container, questions) {
+    const question = questions[presentationCardIndex];
+    
+    const card = document.createElement('div');
+    card.className = 'presentation-flashcard';
+    
+    const questionDiv = document.createElement('div');
+    questionDiv.className = 'presentation-flashcard-question';
+    if (question.type === 'word-problem') {
+        questionDiv.classList.add('presentation-question-word');
+    }
+    questionDiv.setAttribute('aria-live', 'polite');
+    appendPresentationQuestionContent(questionDiv, question, '', presentationCardAnswerVisible);
+    
+    const nav = document.createElement('div');
+    nav.className = 'presentation-flashcard-nav';
+    
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'presentation-btn presentation-btn-secondary';
+    prevBtn.textContent = '‹ Previous';
+    prevBtn.disabled = presentationCardIndex === 0;
+    prevBtn.addEventListener('click', showPreviousFlashcard);
+    
+    const counter = document.createElement('span');
+    counter.className = 'presentation-flashcard-counter';
+    counter.textContent = `${presentationCardIndex + 1} / ${questions.length}`;
+    
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'presentation-btn presentation-btn-secondary';
+    nextBtn.textContent = 'Next ›';
+    nextBtn.disabled = presentationCardIndex === questions.length - 1 && presentationCardAnswerVisible;
+    nextBtn.addEventListener('click', stepFlashcardForward);
+    
+    nav.appendChild(prevBtn);
+    nav.appendChild(counter);
+    nav.appendChild(nextBtn);
+    card.appendChild(questionDiv);
+    card.appendChild(nav);
+    container.appendChild(card);
+}
+
+/**
+ * Steps forward through the flashcards: reveals the current card's answer,
+ * then moves on to the next card on the following step
+ * (so a presentation clicker's "next" button runs the whole set)
+ */
+function stepFlashcardForward() {
+    if (!presentationCardAnswerVisible) {
+        presentationCardAnswerVisible = true;
+    } else if (presentationCardIndex < currentQuestions.length - 1) {
+        presentationCardIndex++;
+        presentationCardAnswerVisible = false;
+    } else {
+        return; // Already showing the answer to the last card
+    }
+    renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
+    updateAnswersToggleButton();
+}
+
+/**
+ * Goes back to the previous flashcard, with its answer hidden
+ */
+function showPreviousFlashcard() {
+    if (presentationCardIndex === 0) {
+        return;
+    }
+    presentationCardIndex--;
+    presentationCardAnswerVisible = false;
+    renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
+    updateAnswersToggleButton();
+}
+
+/**
+ * Switches presentation mode between the grid of all questions and flashcards
+ */
+function togglePresentationView() {
+    presentationView = presentationView === 'grid' ? 'flashcard' : 'grid';
+    presentationCardAnswerVisible = false;
+    renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
+    updateAnswersToggleButton();
+    updateViewToggleButton();
+}
+
+/**
+ * Updates the text of the view toggle button
+ */
+function updateViewToggleButton() {
+    const viewBtn = document.getElementById('toggleViewBtn');
+    viewBtn.textContent = presentationView === 'grid' ? 'Flashcards' : 'All questions';
+}
+
+/**
+ * Toggles the visibility of answers in presentation mode
+ * In flashcard view this only affects the current card
+ */
+function togglePresentationAnswers() {
+    if (presentationView === 'flashcard') {
+        presentationCardAnswerVisible = !presentationCardAnswerVisible;
+    } else {
+        presentationAnswersVisible = !presentationAnswersVisible;
+    }
+    renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
+    updateAnswersToggleButton();
+    // Layout is updated by renderPresentationWorksheet
+}
+
+/**
+ * Updates the text of the answers toggle button
+ */
+function updateAnswersToggleButton() {
+    const toggleBtn = document.getElementById('toggleAnswersBtn');
+    const answersVisible = presentationView === 'flashcard' ? presentationCardAnswerVisible : presentationAnswersVisible;
+    if (answersVisible) {
+        toggleBtn.textContent = 'Hide answers';
+    } else {
+        toggleBtn.textContent = 'Show answers';
+    }
+}
+
+/**
+ * Toggles fullscreen mode
+ */
+function toggleFullscreen() {
+    const fullscreenBtn = document.getElementById('fullscreenBtn');
+    
+    if (!document.fullscreenElement) {
+        // Enter fullscreen
+        const overlay = document.getElementById('presentationOverlay');
+        overlay.requestFullscreen().then(() => {
+            fullscreenBtn.textContent = 'Exit full screen';
+        }).catch(() => {
+            // Fullscreen API not available or failed
+            fullscreenBtn.style.display = 'none';
+        });
+    } else {
+        // Exit fullscreen
+        document.exitFullscreen().then(() => {
+            fullscreenBtn.textContent = 'Go full screen';
+        }).catch(() => {
+            // Ignore errors
+        });
+    }
+}
+
+/**
+ * Sets up event listeners for presentation mode
+ * Only sets them up once to avoid duplicates
+ */
+function setupPresentationEventListeners() {
+    // Check if listeners are already set up
+    if (document.getElementById('closePresentationBtn').hasAttribute('data-listeners-setup')) {
+        return;
+    }
+    
+    // Close button
+    document.getElementById('closePresentationBtn').addEventListener('click', closePresentationMode);
+    
+    // Toggle answers button
+    document.getElementById('toggleAnswersBtn').addEventListener('click', togglePresentationAnswers);
+    
+    // Grid/flashcard view button
+    document.getElementById('toggleViewBtn').addEventListener('click', togglePresentationView);
+    
+    // Challenge timer controls
+    document.getElementById('toggleTimerBtn').addEventListener('click', toggleChallengePanel);
+    document.getElementById('challengeStartBtn').addEventListener('click', toggleChallengeTimer);
+    document.getElementById('challengeResetBtn').addEventListener('click', resetChallengeTimer);
+    ['challengeMinutes', 'challengeSeconds', 'challengePace'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('change', resetChallengeTimer);
+    });
+    
+    // Copy link button (opens this worksheet straight into presentation mode)
+    document.getElementById('copyPresentationLinkBtn').addEventListener('click', function() {
+        copyShareLink(this, true);
+    });
+    
+    // Fullscreen button
+    const fullscreenBtn = document.getElementById('fullscreenBtn');
+    if (document.fullscreenEnabled) {
+        fullscreenBtn.addEventListener('click', toggleFullscreen);
+        
+        // Update button text when fullscreen state changes
+        document.addEventListener('fullscreenchange', () => {
+            if (document.fullscreenElement) {
+                fullscreenBtn.textContent = 'Exit full screen';
+            } else {
+                fullscreenBtn.textContent = 'Go full screen';
+            }
+        });
+    } else {
+        // Hide button if fullscreen API not available
+        fullscreenBtn.style.display = 'none';
+    }
+    
+    // Font size controls
+    document.getElementById('fontSizeDecreaseBtn').addEventListener('click', decreaseFontSize);
+    document.getElementById('fontSizeIncreaseBtn').addEventListener('click', increaseFontSize);
+    
+    // Font weight toggle
+    document.getElementById('fontWeightToggleBtn').addEventListener('click', toggleFontWeight);
+    
+    // Font reset
+    document.getElementById('fontResetBtn').addEventListener('click', resetFontSettings);
+    
+    // Mark as set up
+    document.getElementById('closePresentationBtn').setAttribute('data-listeners-setup', 'true');
+}
+
+/**
+ * Sets up resize handler for presentation mode
+ * Recalculates layout when window is resized
+ */
+function setupPresentationResizeHandler() {
+    // Remove existing handler if any
+    removePresentationResizeHandler();
+    
+    // Create new resize handler with debouncing for performance
+    let resizeTimeout;
+    presentationResizeHandler = function() {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+            const overlay = document.getElementById('presentationOverlay');
+            if (overlay && overlay.style.display !== 'none') {
+                updatePresentationLayout();
+            }
+        }, 150); // Debounce resize events
+    };
+    
+    window.addEventListener('resize', presentationResizeHandler);
+    
+    // Also listen for fullscreen changes (in case user toggles fullscreen)
+    document.addEventListener('fullscreenchange', presentationResizeHandler);
+}
+
+/**
+ * Removes resize handler when presentation mode is closed
+ */
+function removePresentationResizeHandler() {
+    if (presentationResizeHandler) {
+        window.removeEventListener('resize', presentationResizeHandler);
+        document.removeEventListener('fullscreenchange', presentationResizeHandler);
+        presentationResizeHandler = null;
+    }
+}
+
+/**
+ * Sets up keyboard shortcuts for presentation mode
+ * A → toggle answers (current card only in flashcard view)
+ * F → toggle fullscreen
+ * V → switch between all questions and flashcards
+ * T → show/hide the challenge timer
+ * S → start/pause the challenge timer
+ * Esc → exit presentation mode
+ * 
+ * Flashcard view only (these are the keys presentation clickers send):
+ * → / ↓ / Space / Page Down → reveal answer, then next card
+ * ← / ↑ / Page Up → previous card
+ */
+function setupPresentationKeyboardShortcuts() {
+    // Remove existing handler if any
+    removePresentationKeyboardShortcuts();
+    
+    // Create keyboard handler function
+    presentationKeyboardHandler = function(event) {
+        const overlay = document.getElementById('presentationOverlay');
+        
+        // Only handle shortcuts when presentation mode is visible
+        if (!overlay || overlay.style.display === 'none') {
+            return;
+        }
+        
+        // Ignore shortcuts if user is typing in an input field
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.isContentEditable) {
+            return;
+        }
+        
+        // Handle keyboard shortcuts
+        switch (event.key.toLowerCase()) {
+            case 'a':
+                // A → toggle answers
+                event.preventDefault();
+                togglePresentationAnswers();
+                break;
+                
+            case 'f':
+                // F → toggle fullscreen
+                event.preventDefault();
+                toggleFullscreen();
+                break;
+                
+            case 'v':
+                // V → switch between all questions and flashcards
+                event.preventDefault();
+                togglePresentationView();
+                break;
+                
+            case 't':
+                // T → show/hide the challenge timer
+                event.preventDefault();
+                toggleChallengePanel();
+                break;
+                
+            case 's':
+                // S → start/pause the challenge timer
+                event.preventDefault();
+                toggleChallengeTimer();
+                break;
+                
+            case 'arrowright':
+            case 'arrowdown':
+            case ' ':
+            case 'pagedown':
+                // Next step (flashcard view only, otherwise let the page scroll)
+                if (presentationView === 'flashcard') {
+                    event.preventDefault();
+                    stepFlashcardForward();
+                }
+                break;
+                
+            case 'arrowleft':
+            case 'arrowup':
+            case 'pageup':
+                // Previous card (flashcard view only, otherwise let the page scroll)
+                if (presentationView === 'flashcard') {
+                    event.preventDefault();
+                    showPreviousFlashcard();
+                }
+                break;
+                
+            case 'escape':
+                // Esc → exit presentation mode
+                event.preventDefault();
+                closePresentationMode();
+                break;
+        }
+    };
+    
+    // Add event listener
+    document.addEventListener('keydown', presentationKeyboardHandler);
+}
+
+/**
+ * Removes keyboard shortcuts when presentation mode is closed
+ */
+function removePresentationKeyboardShortcuts() {
+    if (presentationKeyboardHandler) {
+        document.removeEventListener('keydown', presentationKeyboardHandler);
+        presentationKeyboardHandler = null;
+    }
+}
+
+/**
+ * Sets up the help tooltip functionality
+ */
+function setupHelpTooltip() {
+    const helpBtn = document.getElementById('helpBtn');
+    const tooltip = document.getElementById('helpTooltip');
+    
+    if (!helpBtn || !tooltip) {
+        return;
+    }
+    
+    // Toggle tooltip on click
+    helpBtn.addEventListener('click', function(event) {
+        event.stopPropagation();
+        toggleHelpTooltip();
+    });
+}
+
+/**
+ * Toggles the help tooltip visibility
+ */
+function toggleHelpTooltip() {
+    const tooltip = document.getElementById('helpTooltip');
+    if (!tooltip) {
+        return;
+    }
+    
+    const isVisible = tooltip.style.display !== 'none';
+    
+    if (isVisible) {
+        hideHelpTooltip();
+    } else {
+        showHelpTooltip();
+    }
+}
+
+/**
+ * Shows the help tooltip
+ */
+function showHelpTooltip() {
+    const tooltip = document.getElementById('helpTooltip');
+    if (!tooltip) {
+        return;
+    }
+    
+    // Remove fade-out class if present
+    tooltip.classList.remove('fade-out');
+    
+    // Show tooltip
+    tooltip.style.display = 'block';
+    
+    // Set up click outside handler
+    setupClickOutsideHandler();
+}
+
+/**
+ * Hides the help tooltip
+ */
+function hideHelpTooltip() {
+    const tooltip = document.getElementById('helpTooltip');
+    if (!tooltip) {
+        return;
+    }
+    
+    // Add fade-out animation
+    tooltip.classList.add('fade-out');
+    
+    // Hide after animation completes
+    setTimeout(() => {
+        tooltip.style.display = 'none';
+        tooltip.classList.remove('fade-out');
+    }, 200);
+    
+    // Remove click outside handler
+    removeClickOutsideHandler();
+}
+
+/**
+ * Auto-shows the help tooltip for 3 seconds when entering presentation mode
+ */
+function autoShowHelpTooltip() {
+    // Clear any existing timeout
+    if (helpTooltipAutoShowTimeout) {
+        clearTimeout(helpTooltipAutoShowTimeout);
     }
     
-    // Calculate optimal layout
-    const layout = calculatePresentationLayout(currentQuestions.length);
+    // Show tooltip immediately
+    showHelpTooltip();
     
-    // Apply CSS variables to overlay
-    overlay.style.setProperty('--presentation-columns', layout.columns);
-    overlay.style.setProperty('--presentation-font-size', layout.fontSizePx + 'px');
+    // Hide after 3 seconds
+    helpTooltipAutoShowTimeout = setTimeout(() => {
+        hideHelpTooltip();
+        helpTooltipAutoShowTimeout = null;
+    }, 3000);
+}
+
+/**
+ * Sets up click outside handler to close tooltip
+ */
+function setupClickOutsideHandler() {
+    // Remove existing handler if any
+    removeClickOutsideHandler();
     
-    // Apply user-controlled font size (multiplier applied to base font size)
-    const userFontSize = layout.fontSizePx * presentationFontSizeMultiplier;
-    overlay.style.setProperty('--presentation-user-font-size', userFontSize + 'px');
+    helpTooltipClickOutsideHandler = function(event) {
+        const tooltip = document.getElementById('helpTooltip');
+        const helpBtn = document.getElementById('helpBtn');
+        
+        // Don't close if clicking on the tooltip or help button
+        if (tooltip && tooltip.contains(event.target)) {
+            return;
+        }
+        if (helpBtn && helpBtn.contains(event.target)) {
+            return;
+        }
+        
+        // Close tooltip if clicking outside
+        hideHelpTooltip();
+    };
     
-    // Apply user-controlled font weight
-    overlay.style.setProperty('--presentation-user-font-weight', presentationFontWeight);
+    // Add event listener with a small delay to avoid immediate closure
+    setTimeout(() => {
+        document.addEventListener('click', helpTooltipClickOutsideHandler);
+    }, 0);
 }
 
 /**
- * Opens the presentation mode overlay
- * Renders the current questions in presentation format
+ * Removes click outside handler
  */
-function openPresentationMode() {
-    if (currentQuestions.length === 0) {
-        return; // Don't open if no questions generated
+function removeClickOutsideHandler() {
+    if (helpTooltipClickOutsideHandler) {
+        document.removeEventListener('click', helpTooltipClickOutsideHandler);
+        helpTooltipClickOutsideHandler = null;
+    }
+}
+
+/**
+ * Removes help tooltip handlers when presentation mode is closed
+ */
+function removeHelpTooltip() {
+    // Clear auto-show timeout
+    if (helpTooltipAutoShowTimeout) {
+        clearTimeout(helpTooltipAutoShowTimeout);
+        helpTooltipAutoShowTimeout = null;
     }
     
-    const overlay = document.getElementById('presentationOverlay');
-    overlay.style.display = 'flex';
-    
-    // Reset answers visibility
-    presentationAnswersVisible = false;
-    updateAnswersToggleButton();
+    // Remove click outside handler
+    removeClickOutsideHandler();
     
-    // Reset font settings to defaults when opening
+    // Hide tooltip
+    const tooltip = document.getElementById('helpTooltip');
+    if (tooltip) {
+        tooltip.style.display = 'none';
+        tooltip.classList.remove('fade-out');
+    }
+}
+
+/* ============================================
+   Presentation Mode Font Controls
+   ============================================ */
+
+/**
+ * Decreases the font size in presentation mode
+ * Minimum multiplier: 0.5 (50% of base size)
+ */
+function decreaseFontSize() {
+    presentationFontSizeMultiplier = Math.max(0.5, presentationFontSizeMultiplier - 0.1);
+    updatePresentationLayout();
+    saveSettingsToStorage();
+}
+
+/**
+ * Increases the font size in presentation mode
+ * Maximum multiplier: 2.0 (200% of base size)
+ */
+function increaseFontSize() {
+    presentationFontSizeMultiplier = Math.min(2.0, presentationFontSizeMultiplier + 0.1);
+    updatePresentationLayout();
+    saveSettingsToStorage();
+}
+
+/**
+ * Toggles font weight between normal and bold
+ */
+function toggleFontWeight() {
+    presentationFontWeight = presentationFontWeight === 'normal' ? 'bold' : 'normal';
+    updateFontWeightButton();
+    updatePresentationLayout();
+    saveSettingsToStorage();
+}
+
+/**
+ * Updates the font weight toggle button appearance
+ */
+function updateFontWeightButton() {
+    const btn = document.getElementById('fontWeightToggleBtn');
+    if (btn) {
+        // Button just shows "B" - update active state
+        if (presentationFontWeight === 'bold') {
+            btn.classList.add('font-weight-active');
+            btn.style.fontWeight = 'bold';
+        } else {
+            btn.classList.remove('font-weight-active');
+            btn.style.fontWeight = 'normal';
+        }
+        btn.setAttribute('aria-label', `Font weight: ${presentationFontWeight}`);
+    }
+}
+
+/**
+ * Resets font size and weight to default values
+ */
+function resetFontSettings() {
     presentationFontSizeMultiplier = 1.0;
     presentationFontWeight = 'normal';
     updateFontWeightButton();
+    updatePresentationLayout();
+    saveSettingsToStorage();
+}
+
+/* ============================================
+   Presentation Mode Timed Challenge
+   ============================================ */
+
+// Global state for the challenge timer
+let challengeRunning = false;
+let challengeElapsedMs = 0; // Time counted before the latest start (excludes pauses)
+let challengeStartedAt = null; // Time of the latest start (ms since epoch)
+let challengeInterval = null; // Interval that updates the timer display
+let challengePaceIndex = null; // Question the class should be on when pacing (null when off)
+let challengeAudioContext = null; // Created on Start so the end sound is allowed to play
+
+/**
+ * Shows or hides the challenge timer bar in presentation mode
+ */
+function toggleChallengePanel() {
+    const panel = document.getElementById('challengePanel');
+    const isVisible = panel.style.display !== 'none';
+    panel.style.display = isVisible ? 'none' : 'flex';
+    document.getElementById('toggleTimerBtn').textContent = isVisible ? 'Timer' : 'Hide timer';
+}
+
+/**
+ * Reads the challenge length from the minutes and seconds fields
+ * @returns {number} Challenge length in milliseconds (0 if the fields are empty or invalid)
+ */
+function getChallengeDurationMs() {
+    const minutes = parseWholeNumber(document.getElementById('challengeMinutes').value) || 0;
+    const seconds = parseWholeNumber(document.getElementById('challengeSeconds').value) || 0;
+    return (minutes * 60 + seconds) * 1000;
+}
+
+/**
+ * Reads the pacing time per question
+ * @returns {number} Pacing time in milliseconds (0 when pacing is off)
+ */
+function getChallengePaceMs() {
+    return (parseWholeNumber(document.getElementById('challengePace').value) || 0) * 1000;
+}
+
+/**
+ * Gets the time counted so far, not including pauses
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getChallengeElapsedMs() {
+    return challengeElapsedMs + (challengeRunning ? Date.now() - challengeStartedAt : 0);
+}
+
+/**
+ * Starts the challenge timer, or pauses it if it is running
+ */
+function toggleChallengeTimer() {
+    if (challengeRunning) {
+        pauseChallengeTimer();
+    } else {
+        startChallengeTimer();
+    }
+}
+
+/**
+ * Starts (or resumes) the challenge timer
+ */
+function startChallengeTimer() {
+    const duration = getChallengeDurationMs();
+    if (duration === 0 || getChallengeElapsedMs() >= duration) {
+        return; // Nothing to count down - reset first
+    }
     
-    // Render questions in presentation mode (this also updates layout)
-    renderPresentationWorksheet(currentQuestions, false);
+    // Browsers only let sound play after a click or key press, so set up audio now
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass && !challengeAudioContext) {
+        challengeAudioContext = new AudioContextClass();
+    }
     
-    // Set up event listeners if not already set
-    setupPresentationEventListeners();
+    // Show the timer so a start from the keyboard is visible
+    if (document.getElementById('challengePanel').style.display === 'none') {
+        toggleChallengePanel();
+    }
     
-    // Set up resize handler for layout updates
-    setupPresentationResizeHandler();
+    challengeRunning = true;
+    challengeStartedAt = Date.now();
+    challengeInterval = setInterval(updateChallengeTimer, 200);
+    setChallengeSettingsDisabled(true);
+    updateChallengeTimer();
+}
+
+/**
+ * Pauses the challenge timer, keeping the time counted so far
+ */
+function pauseChallengeTimer() {
+    if (challengeRunning) {
+        challengeElapsedMs = getChallengeElapsedMs();
+        challengeRunning = false;
+    }
+    clearInterval(challengeInterval);
+    challengeInterval = null;
+    updateChallengeStartButton();
+}
+
+/**
+ * Stops the challenge timer and sets it back to the full time
+ */
+function resetChallengeTimer() {
+    pauseChallengeTimer();
+    challengeElapsedMs = 0;
+    challengeStartedAt = null;
+    setChallengeSettingsDisabled(false);
     
-    // Set up keyboard shortcuts for presentation mode
-    setupPresentationKeyboardShortcuts();
+    // Clear any pacing highlight
+    if (challengePaceIndex !== null) {
+        challengePaceIndex = null;
+        refreshPresentationIfOpen();
+    }
     
-    // Set up help tooltip
-    setupHelpTooltip();
+    updateChallengeTimer();
+}
+
+/**
+ * Updates the time left, progress bar and pacing, and finishes the challenge when time is up
+ */
+function updateChallengeTimer() {
+    const duration = getChallengeDurationMs();
+    const elapsed = Math.min(getChallengeElapsedMs(), duration);
+    const remaining = duration - elapsed;
     
-    // Focus the close button for keyboard accessibility
-    document.getElementById('closePresentationBtn').focus();
+    document.getElementById('challengeTimeLeft').textContent = formatClock(Math.ceil(remaining / 1000));
+    document.getElementById('challengeProgressBar').style.width = duration > 0 ? `${(remaining / duration) * 100}%` : '0%';
+    updateChallengeStartButton();
     
-    // Prevent body scroll when overlay is open
-    document.body.style.overflow = 'hidden';
+    if (challengeRunning) {
+        updateChallengePace(elapsed);
+    }
+    
+    if (challengeRunning && remaining <= 0) {
+        finishChallenge();
+    }
+}
+
+/**
+ * Moves the pacing on when a pacing time per question is set
+ * Flashcard view shows the paced question; the grid highlights it
+ * @param {number} elapsed - Elapsed challenge time in milliseconds
+ */
+function updateChallengePace(elapsed) {
+    const paceMs = getChallengePaceMs();
+    if (paceMs === 0 || currentQuestions.length === 0) {
+        return;
+    }
+    
+    const paceIndex = Math.min(Math.floor(elapsed / paceMs), currentQuestions.length - 1);
+    if (paceIndex === challengePaceIndex) {
+        return;
+    }
+    challengePaceIndex = paceIndex;
+    
+    if (presentationView === 'flashcard') {
+        presentationCardIndex = paceIndex;
+        presentationCardAnswerVisible = false;
+    }
+    refreshPresentationIfOpen();
+}
+
+/**
+ * Ends the challenge: stops the timer, plays the sound cue and reveals the answers
+ */
+function finishChallenge() {
+    pauseChallengeTimer();
+    challengeElapsedMs = getChallengeDurationMs();
+    updateChallengeStartButton();
+    
+    if (document.getElementById('challengeSound').checked) {
+        playChallengeEndSound();
+    }
+    
+    const answersVisible = presentationView === 'flashcard' ? presentationCardAnswerVisible : presentationAnswersVisible;
+    if (!answersVisible) {
+        togglePresentationAnswers();
+    }
+}
+
+/**
+ * Plays three short beeps using the Web Audio API (no sound file needed)
+ */
+function playChallengeEndSound() {
+    if (!challengeAudioContext) {
+        return;
+    }
+    
+    const startTime = challengeAudioContext.currentTime;
+    [0, 0.3, 0.6].forEach(offset => {
+        const oscillator = challengeAudioContext.createOscillator();
+        const gain = challengeAudioContext.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.3, startTime + offset);
+        gain.gain.exponentialRampToValueAtTime(0.001, startTime + offset + 0.25);
+        oscillator.connect(gain);
+        gain.connect(challengeAudioContext.destination);
+        oscillator.start(startTime + offset);
+        oscillator.stop(startTime + offset + 0.25);
+    });
+}
+
+/**
+ * Updates the Start/Pause/Resume button text
+ */
+function updateChallengeStartButton() {
+    const startBtn = document.getElementById('challengeStartBtn');
+    if (challengeRunning) {
+        startBtn.textContent = 'Pause';
+    } else if (challengeElapsedMs > 0 && challengeElapsedMs < getChallengeDurationMs()) {
+        startBtn.textContent = 'Resume';
+    } else {
+        startBtn.textContent = 'Start';
+    }
+}
+
+/**
+ * Locks the timer settings while a challenge is under way
+ * @param {boolean} disabled - Whether the settings fields should be disabled
+ */
+function setChallengeSettingsDisabled(disabled) {
+    ['challengeMinutes', 'challengeSeconds', 'challengePace'].forEach(inputId => {
+        document.getElementById(inputId).disabled = disabled;
+    });
 }
 
 /**
- * Closes the presentation mode overlay
+ * Re-renders the presentation questions if presentation mode is open
  */
-function closePresentationMode() {
+function refreshPresentationIfOpen() {
     const overlay = document.getElementById('presentationOverlay');
-    overlay.style.display = 'none';
-    
-    // Restore body scroll
-    document.body.style.overflow = '';
-    
-    // Remove resize handler
-    removePresentationResizeHandler();
-    
-    // Remove keyboard shortcuts
-    removePresentationKeyboardShortcuts();
-    
-    // Remove help tooltip handlers
-    removeHelpTooltip();
-    
-    // Exit fullscreen if active
-    if (document.fullscreenElement) {
-        document.exitFullscreen().catch(() => {
-            // Ignore errors if fullscreen API fails
-        });
+    if (overlay.style.display !== 'none' && currentQuestions.length > 0) {
+        renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
+        updateAnswersToggleButton();
     }
 }
 
 /**
- * Renders questions in presentation mode
- * 
- * Location: app.js lines ~699-759
+ * Formats seconds as a clock, e.g. 185 → "3:05"
+ * @param {number} totalSeconds - Number of seconds
+ * @returns {string} Formatted time
+ */
+function formatClock(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/* ============================================
+   Quiz Mode
+   ============================================ */
+
+// Global state for quiz mode
+let quizQuestions = []; // Questions shown in the quiz (currentQuestions can change while it is open)
+let quizStartTime = null; // Time the current attempt started (ms since epoch)
+let quizMarked = false; // Whether the current attempt has been marked
+let quizAnswerTimes = []; // Time (ms) spent in each answer box during the current attempt
+let quizFocusStartTime = null; // Time the focused answer box gained focus (ms since epoch)
+let quizFactsRecorded = false; // Whether this quiz's answers have gone into the learner's progress
+let quizTracksProgress = false; // Whether the quiz's answers count towards progress (not for imported sets)
+
+/**
+ * Opens the quiz section for the current questions
+ */
+function openQuiz() {
+    const quizSection = document.getElementById('quizSection');
+    renderQuiz(currentQuestions);
+    // An imported file's base and other fields may not match its question text, so it is not tracked
+    quizTracksProgress = !currentQuestionsImported;
+    quizSection.style.display = 'block';
+    quizSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    startQuizAttempt();
+}
+
+/**
+ * Hides the quiz section
+ */
+function closeQuiz() {
+    document.getElementById('quizSection').style.display = 'none';
+    quizStartTime = null;
+}
+
+/**
+ * Renders the quiz questions, each with an answer box where the blank is
  * 
  * Creates HTML structure:
- * - When answers hidden: <div class="presentation-question">1) 6 × 12 =</div>
- * - When answers shown: <div class="presentation-question">1) 6 × 12 = 72</div>
- * 
- * Simple single-line layout with no answer lines or underscores.
+ * <li class="quiz-question">6 × 12 = <input class="quiz-input"> <span class="quiz-feedback"></span></li>
  * 
  * @param {Object[]} questions - Array of question objects
- * @param {boolean} showAnswers - Whether to show answers
  */
-function renderPresentationWorksheet(questions, showAnswers) {
-    const questionsList = document.getElementById('presentationQuestionsList');
-    
-    // Clear previous content
-    questionsList.innerHTML = '';
+function renderQuiz(questions) {
+    const quizList = document.getElementById('quizQuestionsList');
+    quizList.innerHTML = ''; // Clear previous questions
+    quizQuestions = questions;
+    quizFactsRecorded = false;
     
-    // Render questions - simplified single-line structure
-    // Answers are shown inline with questions when showAnswers is true
     questions.forEach((question, index) => {
-        const questionDiv = document.createElement('div');
-        questionDiv.className = 'presentation-question';
+        const listItem = document.createElement('li');
+        listItem.className = 'quiz-question';
         
-        if (showAnswers) {
-            // Show question with answer in red: "1) 6 × 12 = 72"
-            const questionText = question.questionText.replace('______', '');
-            questionDiv.innerHTML = `${index + 1}) ${questionText}<span class="presentation-answer">${question.answer}</span>`;
-        } else {
-            // Show question without answer: "1) 6 × 12 ="
-            const questionText = question.questionText.replace('______', '');
-            questionDiv.textContent = `${index + 1}) ${questionText}`;
-        }
+        const parts = splitQuestionText(question);
         
-        questionsList.appendChild(questionDiv);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'quiz-input';
+        input.inputMode = 'numeric';
+        input.autocomplete = 'off';
+        input.setAttribute('aria-label', `Answer to question ${index + 1}`);
+        input.dataset.questionIndex = index;
+        
+        const feedback = document.createElement('span');
+        feedback.className = 'quiz-feedback';
+        feedback.setAttribute('aria-live', 'polite');
+        
+        listItem.appendChild(document.createTextNode(parts.before));
+        listItem.appendChild(input);
+        listItem.appendChild(document.createTextNode(parts.after));
+        listItem.appendChild(feedback);
+        quizList.appendChild(listItem);
     });
+}
+
+/**
+ * Starts (or restarts) an attempt: clears marks, starts the clock and focuses the first answer box
+ */
+function startQuizAttempt() {
+    quizMarked = false;
+    quizStartTime = Date.now();
+    quizAnswerTimes = quizQuestions.map(() => 0);
+    quizFocusStartTime = null;
     
-    // Update layout after rendering
-    updatePresentationLayout();
+    document.getElementById('quizResult').style.display = 'none';
+    document.getElementById('markQuizBtn').disabled = false;
+    document.getElementById('retryQuizBtn').style.display = 'none';
+    
+    const firstInput = document.querySelector('#quizQuestionsList .quiz-input');
+    if (firstInput) {
+        firstInput.focus();
+    }
 }
 
 /**
- * Toggles the visibility of answers in presentation mode
+ * Clears all answers so the same questions can be tried again
  */
-function togglePresentationAnswers() {
-    presentationAnswersVisible = !presentationAnswersVisible;
-    renderPresentationWorksheet(currentQuestions, presentationAnswersVisible);
-    updateAnswersToggleButton();
-    // Layout is updated by renderPresentationWorksheet
+function resetQuiz() {
+    document.querySelectorAll('#quizQuestionsList .quiz-question').forEach(listItem => {
+        listItem.classList.remove('quiz-correct', 'quiz-incorrect');
+        const input = listItem.querySelector('.quiz-input');
+        input.value = '';
+        input.disabled = false;
+        listItem.querySelector('.quiz-feedback').textContent = '';
+    });
+    startQuizAttempt();
 }
 
 /**
- * Updates the text of the answers toggle button
+ * Moves to the next answer box when Enter is pressed
+ * Enter in the last box moves focus to the Mark button
+ * (Tab and Shift+Tab already move between boxes)
+ * @param {KeyboardEvent} event - Keydown event from the quiz list
  */
-function updateAnswersToggleButton() {
-    const toggleBtn = document.getElementById('toggleAnswersBtn');
-    if (presentationAnswersVisible) {
-        toggleBtn.textContent = 'Hide answers';
+function handleQuizInputKeydown(event) {
+    if (event.key !== 'Enter' || !event.target.classList.contains('quiz-input')) {
+        return;
+    }
+    event.preventDefault();
+    
+    const inputs = Array.from(document.querySelectorAll('#quizQuestionsList .quiz-input'));
+    const nextInput = inputs[inputs.indexOf(event.target) + 1];
+    if (nextInput) {
+        nextInput.focus();
     } else {
-        toggleBtn.textContent = 'Show answers';
+        document.getElementById('markQuizBtn').focus();
     }
 }
 
 /**
- * Toggles fullscreen mode
+ * Starts timing an answer box when it gains focus
+ * @param {FocusEvent} event - Focusin event from the quiz list
  */
-function toggleFullscreen() {
-    const fullscreenBtn = document.getElementById('fullscreenBtn');
-    
-    if (!document.fullscreenElement) {
-        // Enter fullscreen
-        const overlay = document.getElementById('presentationOverlay');
-        overlay.requestFullscreen().then(() => {
-            fullscreenBtn.textContent = 'Exit full screen';
-        }).catch(() => {
-            // Fullscreen API not available or failed
-            fullscreenBtn.style.display = 'none';
-        });
-    } else {
-        // Exit fullscreen
-        document.exitFullscreen().then(() => {
-            fullscreenBtn.textContent = 'Go full screen';
-        }).catch(() => {
-            // Ignore errors
-        });
+function handleQuizInputFocus(event) {
+    if (event.target.classList.contains('quiz-input')) {
+        quizFocusStartTime = Date.now();
     }
 }
 
 /**
- * Sets up event listeners for presentation mode
- * Only sets them up once to avoid duplicates
+ * Adds the time spent in an answer box when it loses focus
+ * The total is used as the response time for that fact (see recordFactAnswers)
+ * @param {FocusEvent} event - Focusout event from the quiz list
  */
-function setupPresentationEventListeners() {
-    // Check if listeners are already set up
-    if (document.getElementById('closePresentationBtn').hasAttribute('data-listeners-setup')) {
+function handleQuizInputBlur(event) {
+    if (event.target.classList.contains('quiz-input')) {
+        addQuizFocusTime(event.target);
+    }
+}
+
+/**
+ * Adds the time since an answer box gained focus to its total, then stops timing it
+ * @param {HTMLInputElement} input - Answer box that has (or just had) focus
+ */
+function addQuizFocusTime(input) {
+    if (quizFocusStartTime === null) {
+        return;
+    }
+    const index = parseInt(input.dataset.questionIndex, 10);
+    quizAnswerTimes[index] = (quizAnswerTimes[index] || 0) + (Date.now() - quizFocusStartTime);
+    quizFocusStartTime = null;
+}
+
+/**
+ * Checks whether a typed answer matches the question's answer
+ * @param {string} value - Text typed by the child
+ * @param {Object} question - Question object
+ * @returns {boolean} True if the answer is correct
+ */
+function isQuizAnswerCorrect(value, question) {
+    const trimmed = value.trim();
+    return /^\d+$/.test(trimmed) && parseInt(trimmed, 10) === question.answer;
+}
+
+/**
+ * Marks every answer, shows ticks and crosses, the score and the time taken
+ */
+function markQuiz() {
+    if (quizMarked || quizStartTime === null) {
         return;
     }
+    quizMarked = true;
     
-    // Close button
-    document.getElementById('closePresentationBtn').addEventListener('click', closePresentationMode);
+    const timeTaken = Date.now() - quizStartTime;
+    let score = 0;
+    const results = [];
     
-    // Toggle answers button
-    document.getElementById('toggleAnswersBtn').addEventListener('click', togglePresentationAnswers);
+    // Marking from the keyboard can leave an answer box focused, so its time is added now
+    // (the focusout when the box is disabled then adds nothing more)
+    const focusedInput = document.activeElement;
+    if (focusedInput && focusedInput.classList.contains('quiz-input')) {
+        addQuizFocusTime(focusedInput);
+    }
     
-    // Fullscreen button
-    const fullscreenBtn = document.getElementById('fullscreenBtn');
-    if (document.fullscreenEnabled) {
-        fullscreenBtn.addEventListener('click', toggleFullscreen);
+    document.querySelectorAll('#quizQuestionsList .quiz-question').forEach((listItem, index) => {
+        const question = quizQuestions[index];
+        const input = listItem.querySelector('.quiz-input');
+        const feedback = listItem.querySelector('.quiz-feedback');
+        const isCorrect = isQuizAnswerCorrect(input.value, question);
         
-        // Update button text when fullscreen state changes
-        document.addEventListener('fullscreenchange', () => {
-            if (document.fullscreenElement) {
-                fullscreenBtn.textContent = 'Exit full screen';
-            } else {
-                fullscreenBtn.textContent = 'Go full screen';
-            }
+        // Blank answers count as wrong, but without a response time
+        results.push({
+            question: question,
+            isCorrect: isCorrect,
+            time: input.value.trim() && quizAnswerTimes[index] > 0 ? quizAnswerTimes[index] : null
         });
-    } else {
-        // Hide button if fullscreen API not available
-        fullscreenBtn.style.display = 'none';
-    }
-    
-    // Font size controls
-    document.getElementById('fontSizeDecreaseBtn').addEventListener('click', decreaseFontSize);
-    document.getElementById('fontSizeIncreaseBtn').addEventListener('click', increaseFontSize);
+        
+        input.disabled = true;
+        listItem.classList.add(isCorrect ? 'quiz-correct' : 'quiz-incorrect');
+        
+        if (isCorrect) {
+            score++;
+            feedback.textContent = '✓';
+        } else {
+            // Show the right answer next to a wrong or missing one
+            feedback.textContent = `✗ ${question.answer}`;
+        }
+    });
     
-    // Font weight toggle
-    document.getElementById('fontWeightToggleBtn').addEventListener('click', toggleFontWeight);
+    const result = document.getElementById('quizResult');
+    result.textContent = `Score: ${score} / ${quizQuestions.length}  ·  Time taken: ${formatDuration(timeTaken)}`;
+    result.style.display = 'block';
     
-    // Font reset
-    document.getElementById('fontResetBtn').addEventListener('click', resetFontSettings);
+    document.getElementById('markQuizBtn').disabled = true;
+    document.getElementById('retryQuizBtn').style.display = '';
     
-    // Mark as set up
-    document.getElementById('closePresentationBtn').setAttribute('data-listeners-setup', 'true');
+    // Only the first attempt counts: a retry comes after the answers were shown
+    if (quizTracksProgress && !quizFactsRecorded) {
+        quizFactsRecorded = true;
+        recordFactAnswers(results);
+    }
 }
 
 /**
- * Sets up resize handler for presentation mode
- * Recalculates layout when window is resized
+ * Formats a duration for display, e.g. 83000 → "1 min 23 s"
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} Formatted duration
  */
-function setupPresentationResizeHandler() {
-    // Remove existing handler if any
-    removePresentationResizeHandler();
+function formatDuration(milliseconds) {
+    const totalSeconds = Math.round(milliseconds / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) {
+        return `${seconds} s`;
+    }
+    return `${minutes} min ${String(seconds).padStart(2, '0')} s`;
+}
+
+/* ============================================
+   Multiplication Tables Check (MTC) Practice
+   ============================================ */
+
+/**
+ * Rules of the statutory Year 4 multiplication tables check:
+ * 25 multiplication questions from the 2× to 12× tables, 6 seconds to answer
+ * each, a 3 second pause between questions, and no facts with 1 as a factor
+ */
+const MTC_QUESTION_COUNT = 25;
+const MTC_QUESTION_SECONDS = 6;
+const MTC_PAUSE_SECONDS = 3;
+const MTC_TABLES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const MTC_MULTIPLIER_RANGE = { min: 2, max: 12 };
+
+// Global state for MTC practice
+let mtcQuestions = [];
+let mtcResults = []; // One entry per question asked: { question, given, isCorrect, time }
+let mtcQuestionIndex = 0;
+let mtcQuestionStartTime = null; // Time the current question appeared (ms since epoch)
+let mtcTimeout = null; // Timeout for the end of the current question or pause
+let mtcTickInterval = null; // Interval that updates the countdown
+let mtcKeyboardHandler = null; // Store keyboard handler for cleanup
+
+/**
+ * Builds a question set under the MTC rules using generateQuestion()
+ * Each fact is asked at most once, counting 7 × 8 and 8 × 7 as the same fact
+ * @returns {Object[]} Array of multiplication question objects
+ */
+function generateMtcQuestions() {
+    const questions = [];
+    const usedFacts = new Set();
     
-    // Create new resize handler with debouncing for performance
-    let resizeTimeout;
-    presentationResizeHandler = function() {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            const overlay = document.getElementById('presentationOverlay');
-            if (overlay && overlay.style.display !== 'none') {
-                updatePresentationLayout();
-            }
-        }, 150); // Debounce resize events
-    };
+    while (questions.length < MTC_QUESTION_COUNT) {
+        const question = generateQuestion(MTC_TABLES, ['multiplication'], MTC_MULTIPLIER_RANGE);
+        const factKey = [question.base, question.other].sort((a, b) => a - b).join('×');
+        if (!usedFacts.has(factKey)) {
+            usedFacts.add(factKey);
+            questions.push(question);
+        }
+    }
     
-    window.addEventListener('resize', presentationResizeHandler);
+    return questions;
+}
+
+/**
+ * Opens the MTC overlay and starts the check with a pause before the first question
+ * @param {Object[]} questions - Questions to ask
+ */
+function openMtc(questions) {
+    mtcQuestions = questions;
+    mtcResults = [];
+    mtcQuestionIndex = 0;
     
-    // Also listen for fullscreen changes (in case user toggles fullscreen)
-    document.addEventListener('fullscreenchange', presentationResizeHandler);
+    document.getElementById('mtcOverlay').style.display = 'flex';
+    document.getElementById('mtcSummaryPanel').style.display = 'none';
+    document.body.style.overflow = 'hidden';
+    
+    setupMtcKeyboardShortcuts();
+    showMtcPause();
 }
 
 /**
- * Removes resize handler when presentation mode is closed
+ * Closes the MTC overlay and stops any running timers
  */
-function removePresentationResizeHandler() {
-    if (presentationResizeHandler) {
-        window.removeEventListener('resize', presentationResizeHandler);
-        document.removeEventListener('fullscreenchange', presentationResizeHandler);
-        presentationResizeHandler = null;
-    }
+function closeMtc() {
+    clearMtcTimers();
+    removeMtcKeyboardShortcuts();
+    mtcQuestionStartTime = null; // No question is showing any more (see submitMtcAnswer)
+    document.getElementById('mtcOverlay').style.display = 'none';
+    document.body.style.overflow = '';
 }
 
 /**
- * Sets up keyboard shortcuts for presentation mode
- * A → toggle answers
- * F → toggle fullscreen
- * Esc → exit presentation mode
+ * Stops the question/pause timeout and the countdown interval
  */
-function setupPresentationKeyboardShortcuts() {
-    // Remove existing handler if any
-    removePresentationKeyboardShortcuts();
+function clearMtcTimers() {
+    clearTimeout(mtcTimeout);
+    clearInterval(mtcTickInterval);
+    mtcTimeout = null;
+    mtcTickInterval = null;
+}
+
+/**
+ * Shows the pause screen, then the next question after MTC_PAUSE_SECONDS
+ */
+function showMtcPause() {
+    clearMtcTimers();
+    document.getElementById('mtcQuestionPanel').style.display = 'none';
+    document.getElementById('mtcPausePanel').style.display = 'block';
+    updateMtcProgress();
     
-    // Create keyboard handler function
-    presentationKeyboardHandler = function(event) {
-        const overlay = document.getElementById('presentationOverlay');
-        
-        // Only handle shortcuts when presentation mode is visible
-        if (!overlay || overlay.style.display === 'none') {
-            return;
-        }
-        
-        // Ignore shortcuts if user is typing in an input field
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.isContentEditable) {
-            return;
-        }
-        
-        // Handle keyboard shortcuts
-        switch (event.key.toLowerCase()) {
-            case 'a':
-                // A → toggle answers
-                event.preventDefault();
-                togglePresentationAnswers();
-                break;
-                
-            case 'f':
-                // F → toggle fullscreen
-                event.preventDefault();
-                toggleFullscreen();
-                break;
-                
-            case 'escape':
-                // Esc → exit presentation mode
-                event.preventDefault();
-                closePresentationMode();
-                break;
-        }
-    };
+    mtcTimeout = setTimeout(showMtcQuestion, MTC_PAUSE_SECONDS * 1000);
+}
+
+/**
+ * Shows the current question and starts its countdown
+ * The answer is submitted automatically when the time runs out
+ */
+function showMtcQuestion() {
+    clearMtcTimers();
+    const question = mtcQuestions[mtcQuestionIndex];
     
-    // Add event listener
-    document.addEventListener('keydown', presentationKeyboardHandler);
+    document.getElementById('mtcPausePanel').style.display = 'none';
+    document.getElementById('mtcQuestionPanel').style.display = 'flex';
+    document.getElementById('mtcQuestion').textContent = splitQuestionText(question).before.trim();
+    
+    const answerInput = document.getElementById('mtcAnswer');
+    answerInput.value = '';
+    answerInput.disabled = false;
+    answerInput.focus();
+    
+    mtcQuestionStartTime = Date.now();
+    updateMtcCountdown();
+    mtcTickInterval = setInterval(updateMtcCountdown, 100);
+    mtcTimeout = setTimeout(submitMtcAnswer, MTC_QUESTION_SECONDS * 1000);
 }
 
 /**
- * Removes keyboard shortcuts when presentation mode is closed
+ * Updates the countdown bar and seconds left for the current question
  */
-function removePresentationKeyboardShortcuts() {
-    if (presentationKeyboardHandler) {
-        document.removeEventListener('keydown', presentationKeyboardHandler);
-        presentationKeyboardHandler = null;
-    }
+function updateMtcCountdown() {
+    const elapsed = Date.now() - mtcQuestionStartTime;
+    const remaining = Math.max(0, MTC_QUESTION_SECONDS * 1000 - elapsed);
+    
+    document.getElementById('mtcTimerBar').style.width = `${(remaining / (MTC_QUESTION_SECONDS * 1000)) * 100}%`;
+    document.getElementById('mtcSecondsLeft').textContent = Math.ceil(remaining / 1000);
 }
 
 /**
- * Sets up the help tooltip functionality
+ * Updates the "Question N of 25" label
  */
-function setupHelpTooltip() {
-    const helpBtn = document.getElementById('helpBtn');
-    const tooltip = document.getElementById('helpTooltip');
-    
-    if (!helpBtn || !tooltip) {
-        return;
-    }
-    
-    // Toggle tooltip on click
-    helpBtn.addEventListener('click', function(event) {
-        event.stopPropagation();
-        toggleHelpTooltip();
-    });
+function updateMtcProgress() {
+    document.getElementById('mtcProgress').textContent = `Question ${mtcQuestionIndex + 1} of ${mtcQuestions.length}`;
 }
 
 /**
- * Toggles the help tooltip visibility
+ * Records the answer to the current question (called on Enter or when time runs out)
+ * and moves on to the next pause, or to the summary after the last question
  */
-function toggleHelpTooltip() {
-    const tooltip = document.getElementById('helpTooltip');
-    if (!tooltip) {
-        return;
+function submitMtcAnswer() {
+    if (mtcQuestionStartTime === null) {
+        return; // Not currently showing a question
     }
+    clearMtcTimers();
+    const responseTime = Date.now() - mtcQuestionStartTime;
+    mtcQuestionStartTime = null;
     
-    const isVisible = tooltip.style.display !== 'none';
+    const answerInput = document.getElementById('mtcAnswer');
+    answerInput.disabled = true;
     
-    if (isVisible) {
-        hideHelpTooltip();
+    const question = mtcQuestions[mtcQuestionIndex];
+    const given = answerInput.value.trim();
+    mtcResults.push({
+        question: question,
+        given: given,
+        isCorrect: isQuizAnswerCorrect(answerInput.value, question),
+        // Questions left unanswered when the time ran out have no response time
+        time: given ? responseTime : null
+    });
+    
+    mtcQuestionIndex++;
+    if (mtcQuestionIndex < mtcQuestions.length) {
+        showMtcPause();
     } else {
-        showHelpTooltip();
+        showMtcSummary();
     }
 }
 
 /**
- * Shows the help tooltip
+ * Shows the end-of-check summary: the score and every fact that was missed
  */
-function showHelpTooltip() {
-    const tooltip = document.getElementById('helpTooltip');
-    if (!tooltip) {
-        return;
-    }
+function showMtcSummary() {
+    document.getElementById('mtcQuestionPanel').style.display = 'none';
+    document.getElementById('mtcPausePanel').style.display = 'none';
+    document.getElementById('mtcSummaryPanel').style.display = 'block';
+    document.getElementById('mtcProgress').textContent = 'Finished';
     
-    // Remove fade-out class if present
-    tooltip.classList.remove('fade-out');
+    recordFactAnswers(mtcResults);
     
-    // Show tooltip
-    tooltip.style.display = 'block';
+    const missed = mtcResults.filter(result => !result.isCorrect);
+    const score = mtcResults.length - missed.length;
+    document.getElementById('mtcScore').textContent = `You scored ${score} out of ${mtcResults.length}`;
     
-    // Set up click outside handler
-    setupClickOutsideHandler();
+    const missedList = document.getElementById('mtcMissedList');
+    missedList.innerHTML = ''; // Clear previous results
+    document.getElementById('mtcMissedTitle').textContent = missed.length > 0
+        ? 'Facts to practise'
+        : 'No facts missed - well done!';
+    
+    missed.forEach(result => {
+        const listItem = document.createElement('li');
+        const given = result.given ? `you answered ${result.given}` : 'no answer';
+        listItem.textContent = `${result.question.questionText.replace(QUESTION_BLANK, result.question.answer)} (${given})`;
+        missedList.appendChild(listItem);
+    });
+    
+    document.getElementById('mtcRestartBtn').focus();
 }
 
 /**
- * Hides the help tooltip
+ * Sets up keyboard shortcuts for MTC practice
+ * Esc → exit
  */
-function hideHelpTooltip() {
-    const tooltip = document.getElementById('helpTooltip');
-    if (!tooltip) {
-        return;
-    }
-    
-    // Add fade-out animation
-    tooltip.classList.add('fade-out');
+function setupMtcKeyboardShortcuts() {
+    removeMtcKeyboardShortcuts();
     
-    // Hide after animation completes
-    setTimeout(() => {
-        tooltip.style.display = 'none';
-        tooltip.classList.remove('fade-out');
-    }, 200);
+    mtcKeyboardHandler = function(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeMtc();
+        }
+    };
     
-    // Remove click outside handler
-    removeClickOutsideHandler();
+    document.addEventListener('keydown', mtcKeyboardHandler);
 }
 
 /**
- * Auto-shows the help tooltip for 3 seconds when entering presentation mode
+ * Removes keyboard shortcuts when MTC practice is closed
  */
-function autoShowHelpTooltip() {
-    // Clear any existing timeout
-    if (helpTooltipAutoShowTimeout) {
-        clearTimeout(helpTooltipAutoShowTimeout);
+function removeMtcKeyboardShortcuts() {
+    if (mtcKeyboardHandler) {
+        document.removeEventListener('keydown', mtcKeyboardHandler);
+        mtcKeyboardHandler = null;
+    }
+}
+
+/* ============================================
+   Learner Progress
+   ============================================ */
+
+/**
+ * Answers typed on screen (in the quiz and MTC practice) are saved per fact for the chosen learner,
+ * in this browser's localStorage only. Each learner profile looks like:
+ * { name: 'Mia', facts: { '7x8': { attempts: 5, correct: 4, timedAttempts: 4, totalTime: 9200 } } }
+ * where totalTime is the sum of the response times (ms) of the timed attempts.
+ */
+
+// Global state for learner progress
+let learnerProfiles = [];
+let activeLearnerName = ''; // Learner answers are saved for ('' when answers are not being saved)
+
+/**
+ * Reads the learner profiles and the chosen learner from localStorage
+ * Profiles without a name are dropped, and facts outside the heatmap range are ignored
+ */
+function loadLearnerProfiles() {
+    let stored;
+    try {
+        stored = JSON.parse(window.localStorage.getItem(LEARNERS_STORAGE_KEY));
+    } catch (error) {
+        stored = null;
+    }
+    if (!stored || !Array.isArray(stored.learners)) {
+        return;
     }
     
-    // Show tooltip immediately
-    showHelpTooltip();
+    learnerProfiles = stored.learners
+        .filter(learner => learner && typeof learner.name === 'string' && learner.name.trim())
+        .map(learner => ({
+            name: learner.name.trim().slice(0, MAX_LEARNER_NAME_LENGTH),
+            facts: learner.facts && typeof learner.facts === 'object' ? learner.facts : {}
+        }));
     
-    // Hide after 3 seconds
-    helpTooltipAutoShowTimeout = setTimeout(() => {
-        hideHelpTooltip();
-        helpTooltipAutoShowTimeout = null;
-    }, 3000);
+    if (typeof stored.activeLearner === 'string' && findLearnerProfile(stored.activeLearner)) {
+        activeLearnerName = findLearnerProfile(stored.activeLearner).name;
+    }
 }
 
 /**
- * Sets up click outside handler to close tooltip
+ * Writes the learner profiles and the chosen learner to localStorage
+ * @returns {boolean} True if they were saved
  */
-function setupClickOutsideHandler() {
-    // Remove existing handler if any
-    removeClickOutsideHandler();
+function storeLearnerProfiles() {
+    try {
+        window.localStorage.setItem(LEARNERS_STORAGE_KEY, JSON.stringify({
+            activeLearner: activeLearnerName,
+            learners: learnerProfiles
+        }));
+        return true;
+    } catch (error) {
+        showError('learnerError', 'Progress could not be saved. Your browser may be blocking storage for this site.');
+        return false;
+    }
+}
+
+/**
+ * Finds a learner profile by name, ignoring case
+ * @param {string} name - Learner name
+ * @returns {Object|undefined} The learner profile, if there is one
+ */
+function findLearnerProfile(name) {
+    const lowerName = name.toLowerCase();
+    return learnerProfiles.find(learner => learner.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Gets the learner answers are currently being saved for
+ * @returns {Object|null} Learner profile, or null if no learner is chosen
+ */
+function getActiveLearner() {
+    return activeLearnerName ? findLearnerProfile(activeLearnerName) || null : null;
+}
+
+/**
+ * Builds the key a fact is stored under, e.g. 7 × 8 → "7x8"
+ * @param {number} base - The times table
+ * @param {number} other - The number the table is multiplied by
+ * @returns {string} Fact key
+ */
+function getFactKey(base, other) {
+    return `${base}x${other}`;
+}
+
+/**
+ * Checks whether a fact is one the heatmap shows (1× to 20× tables, times 1 to 12)
+ * Imported questions may have no base or other, so those are checked too
+ * @param {number} base - The times table
+ * @param {number} other - The number the table is multiplied by
+ * @returns {boolean} True if the fact is tracked
+ */
+function isTrackedFact(base, other) {
+    return Number.isInteger(base) && Number.isInteger(other) &&
+        base >= 1 && base <= PROGRESS_TABLES_MAX &&
+        other >= 1 && other <= PROGRESS_MULTIPLIER_MAX;
+}
+
+/**
+ * Adds marked answers to the chosen learner's progress
+ * Does nothing if no learner is chosen
+ * @param {Object[]} results - Marked answers: { question, isCorrect, time } (time in ms, or null if not timed)
+ */
+function recordFactAnswers(results) {
+    const learner = getActiveLearner();
+    if (!learner) {
+        return;
+    }
     
-    helpTooltipClickOutsideHandler = function(event) {
-        const tooltip = document.getElementById('helpTooltip');
-        const helpBtn = document.getElementById('helpBtn');
-        
-        // Don't close if clicking on the tooltip or help button
-        if (tooltip && tooltip.contains(event.target)) {
+    results.forEach(result => {
+        const { base, other } = result.question;
+        if (!isTrackedFact(base, other)) {
             return;
         }
-        if (helpBtn && helpBtn.contains(event.target)) {
-            return;
+        const key = getFactKey(base, other);
+        const fact = learner.facts[key] || { attempts: 0, correct: 0, timedAttempts: 0, totalTime: 0 };
+        fact.attempts++;
+        if (result.isCorrect) {
+            fact.correct++;
         }
-        
-        // Close tooltip if clicking outside
-        hideHelpTooltip();
-    };
+        if (result.time !== null) {
+            fact.timedAttempts++;
+            fact.totalTime += result.time;
+        }
+        learner.facts[key] = fact;
+    });
     
-    // Add event listener with a small delay to avoid immediate closure
-    setTimeout(() => {
-        document.addEventListener('click', helpTooltipClickOutsideHandler);
-    }, 0);
+    storeLearnerProfiles();
+    renderProgressHeatmap();
 }
 
 /**
- * Removes click outside handler
+ * Works out a learner's accuracy and average response time for one fact
+ * @param {Object} learner - Learner profile
+ * @param {number} base - The times table
+ * @param {number} other - The number the table is multiplied by
+ * @returns {Object|null} Object with attempts, correct, accuracy (0 to 1) and averageTime
+ *                        (ms, or null if no attempt was timed), or null if never answered
  */
-function removeClickOutsideHandler() {
-    if (helpTooltipClickOutsideHandler) {
-        document.removeEventListener('click', helpTooltipClickOutsideHandler);
-        helpTooltipClickOutsideHandler = null;
+function getFactStats(learner, base, other) {
+    const fact = learner.facts[getFactKey(base, other)];
+    if (!fact || !(fact.attempts > 0)) {
+        return null;
     }
+    return {
+        attempts: fact.attempts,
+        correct: fact.correct,
+        accuracy: fact.correct / fact.attempts,
+        averageTime: fact.timedAttempts > 0 ? fact.totalTime / fact.timedAttempts : null
+    };
 }
 
 /**
- * Removes help tooltip handlers when presentation mode is closed
+ * Lists a learner's weakest facts, worst first
+ * A fact is weak if any answer to it was wrong or it is slow on average (see WEAK_FACT_SECONDS).
+ * Accuracy counts most; slowness (up to the MTC time limit) breaks ties and ranks slow facts.
+ * @param {Object} learner - Learner profile
+ * @param {number} count - Most facts to return
+ * @returns {Object[]} Facts as { base, other }
  */
-function removeHelpTooltip() {
-    // Clear auto-show timeout
-    if (helpTooltipAutoShowTimeout) {
-        clearTimeout(helpTooltipAutoShowTimeout);
-        helpTooltipAutoShowTimeout = null;
+function getWeakFacts(learner, count) {
+    const weakFacts = [];
+    for (let base = 1; base <= PROGRESS_TABLES_MAX; base++) {
+        for (let other = 1; other <= PROGRESS_MULTIPLIER_MAX; other++) {
+            const stats = getFactStats(learner, base, other);
+            if (!stats) {
+                continue;
+            }
+            const averageSeconds = stats.averageTime === null ? 0 : stats.averageTime / 1000;
+            if (stats.accuracy < 1 || averageSeconds >= WEAK_FACT_SECONDS) {
+                const slowness = Math.min(averageSeconds / MTC_QUESTION_SECONDS, 1);
+                weakFacts.push({ base: base, other: other, weakness: (1 - stats.accuracy) + slowness * 0.5 });
+            }
+        }
     }
     
-    // Remove click outside handler
-    removeClickOutsideHandler();
-    
-    // Hide tooltip
-    const tooltip = document.getElementById('helpTooltip');
-    if (tooltip) {
-        tooltip.style.display = 'none';
-        tooltip.classList.remove('fade-out');
+    return weakFacts
+        .sort((a, b) => b.weakness - a.weakness)
+        .slice(0, count)
+        .map(fact => ({ base: fact.base, other: fact.other }));
+}
+
+/**
+ * Builds questions that practise the given facts, sharing the questions evenly between them
+ * @param {Object[]} facts - Facts as { base, other }
+ * @param {number} numQuestions - Number of questions to generate
+ * @param {string[]} questionTypes - Question types to choose from
+ * @param {Object} order - Object with factorOrder and divisor (see chooseSwapFactors)
+ * @returns {Object[]} Array of question objects in random order
+ */
+function generateWeakFactQuestions(facts, numQuestions, questionTypes, order) {
+    const questions = [];
+    for (let i = 0; i < numQuestions; i++) {
+        const fact = facts[i % facts.length];
+        const type = pickRandom(questionTypes);
+        questions.push(createQuestion(type, fact.base, fact.other, chooseSwapFactors(type, order)));
     }
+    return shuffleArray(questions);
 }
 
-/* ============================================
-   Presentation Mode Font Controls
-   ============================================ */
+/**
+ * Fills the learner drop-down and shows or hides the heatmap for the chosen learner
+ */
+function renderLearnerOptions() {
+    const select = document.getElementById('learnerSelect');
+    select.innerHTML = '';
+    
+    const noLearner = document.createElement('option');
+    noLearner.value = '';
+    noLearner.textContent = 'No learner (answers are not saved)';
+    select.appendChild(noLearner);
+    
+    learnerProfiles.forEach(learner => {
+        const option = document.createElement('option');
+        option.value = learner.name;
+        option.textContent = learner.name;
+        select.appendChild(option);
+    });
+    
+    select.value = activeLearnerName;
+    
+    const hasLearner = getActiveLearner() !== null;
+    document.getElementById('deleteLearnerBtn').disabled = !hasLearner;
+    document.getElementById('weakFactsBtn').disabled = !hasLearner;
+    document.getElementById('progressHeatmapGroup').hidden = !hasLearner;
+    renderProgressHeatmap();
+}
 
 /**
- * Decreases the font size in presentation mode
- * Minimum multiplier: 0.5 (50% of base size)
+ * Draws the chosen learner's heatmap: one square per fact, coloured by accuracy or response time
+ * Rows are the 1× to 20× tables and columns are the numbers 1 to 12
  */
-function decreaseFontSize() {
-    presentationFontSizeMultiplier = Math.max(0.5, presentationFontSizeMultiplier - 0.1);
-    updatePresentationLayout();
+function renderProgressHeatmap() {
+    const table = document.getElementById('factHeatmap');
+    table.innerHTML = '';
+    
+    const learner = getActiveLearner();
+    if (!learner) {
+        return;
+    }
+    const showTime = document.getElementById('heatmapMode').value === 'time';
+    
+    const caption = document.createElement('caption');
+    caption.className = 'sr-only';
+    caption.textContent = `${learner.name}: ${showTime ? 'average response time' : 'accuracy'} for each fact`;
+    table.appendChild(caption);
+    
+    // Header row: the numbers each table is multiplied by
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(document.createElement('th'));
+    for (let other = 1; other <= PROGRESS_MULTIPLIER_MAX; other++) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = `×${other}`;
+        headerRow.appendChild(th);
+    }
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    for (let base = 1; base <= PROGRESS_TABLES_MAX; base++) {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = `${base}×`;
+        row.appendChild(th);
+        
+        for (let other = 1; other <= PROGRESS_MULTIPLIER_MAX; other++) {
+            row.appendChild(createHeatmapCell(getFactStats(learner, base, other), base, other, showTime));
+        }
+        tbody.appendChild(row);
+    }
+    table.appendChild(tbody);
 }
 
 /**
- * Increases the font size in presentation mode
- * Maximum multiplier: 2.0 (200% of base size)
+ * Creates one heatmap square
+ * Accuracy runs from red (0%) to green (100%); response time from green (1 s or less) to red (6 s or more)
+ * @param {Object|null} stats - Fact stats from getFactStats(), or null if never answered
+ * @param {number} base - The times table
+ * @param {number} other - The number the table is multiplied by
+ * @param {boolean} showTime - Whether to show response time instead of accuracy
+ * @returns {HTMLTableCellElement} The cell
  */
-function increaseFontSize() {
-    presentationFontSizeMultiplier = Math.min(2.0, presentationFontSizeMultiplier + 0.1);
-    updatePresentationLayout();
+function createHeatmapCell(stats, base, other, showTime) {
+    const cell = document.createElement('td');
+    const fact = `${base} × ${other}`;
+    
+    if (!stats || (showTime && stats.averageTime === null)) {
+        cell.className = 'heatmap-empty';
+        cell.title = `${fact}: not answered yet`;
+        return cell;
+    }
+    
+    const averageSeconds = stats.averageTime === null ? null : stats.averageTime / 1000;
+    let strength;
+    if (showTime) {
+        strength = 1 - Math.min(Math.max((averageSeconds - 1) / (MTC_QUESTION_SECONDS - 1), 0), 1);
+        cell.textContent = averageSeconds.toFixed(1);
+    } else {
+        strength = stats.accuracy;
+        cell.textContent = Math.round(stats.accuracy * 100);
+    }
+    // Hue 0 is red and 120 is green
+    cell.style.backgroundColor = `hsl(${Math.round(strength * 120)}, 65%, 38%)`;
+    
+    const timing = averageSeconds === null ? '' : `, average ${averageSeconds.toFixed(1)} s`;
+    cell.title = `${fact}: ${stats.correct} of ${stats.attempts} correct${timing}`;
+    return cell;
 }
 
 /**
- * Toggles font weight between normal and bold
+ * Handles a different learner being chosen
  */
-function toggleFontWeight() {
-    presentationFontWeight = presentationFontWeight === 'normal' ? 'bold' : 'normal';
-    updateFontWeightButton();
-    updatePresentationLayout();
+function handleLearnerChange() {
+    clearErrors();
+    activeLearnerName = document.getElementById('learnerSelect').value;
+    document.getElementById('weakFactsStatus').style.display = 'none';
+    storeLearnerProfiles();
+    renderLearnerOptions();
 }
 
 /**
- * Updates the font weight toggle button appearance
+ * Handles the Add learner button
+ * Adds a profile with the name typed in and chooses it
  */
-function updateFontWeightButton() {
-    const btn = document.getElementById('fontWeightToggleBtn');
-    if (btn) {
-        // Button just shows "B" - update active state
-        if (presentationFontWeight === 'bold') {
-            btn.classList.add('font-weight-active');
-            btn.style.fontWeight = 'bold';
-        } else {
-            btn.classList.remove('font-weight-active');
-            btn.style.fontWeight = 'normal';
-        }
-        btn.setAttribute('aria-label', `Font weight: ${presentationFontWeight}`);
+function handleAddLearner() {
+    clearErrors();
+    const nameInput = document.getElementById('newLearnerName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showError('learnerError', 'Please enter a name for the learner');
+        return;
+    }
+    
+    const existing = findLearnerProfile(name);
+    if (existing) {
+        activeLearnerName = existing.name;
+    } else {
+        learnerProfiles.push({ name: name, facts: {} });
+        activeLearnerName = name;
     }
+    
+    nameInput.value = '';
+    storeLearnerProfiles();
+    renderLearnerOptions();
 }
 
 /**
- * Resets font size and weight to default values
+ * Handles the Delete learner button
+ * Removes the chosen learner and all of their progress after checking with the user
  */
-function resetFontSettings() {
-    presentationFontSizeMultiplier = 1.0;
-    presentationFontWeight = 'normal';
-    updateFontWeightButton();
-    updatePresentationLayout();
+function handleDeleteLearner() {
+    const learner = getActiveLearner();
+    if (!learner || !window.confirm(`Delete ${learner.name} and all of their progress?`)) {
+        return;
+    }
+    learnerProfiles = learnerProfiles.filter(profile => profile !== learner);
+    activeLearnerName = '';
+    document.getElementById('weakFactsStatus').style.display = 'none';
+    storeLearnerProfiles();
+    renderLearnerOptions();
 }
 
+/**
+ * Handles the Generate from weak facts button
+ * Builds a question set from the chosen learner's weakest facts, using the number of
+ * questions and question types from the form, ready to present, quiz or download
+ */
+function handleGenerateWeakFacts() {
+    clearErrors();
+    const learner = getActiveLearner();
+    if (!learner) {
+        return;
+    }
+    
+    const weakFacts = getWeakFacts(learner, WEAK_FACT_COUNT);
+    if (weakFacts.length === 0) {
+        showError('learnerError', `${learner.name} has no weak facts yet. Facts show up here once answers have been entered in the quiz or the multiplication tables check.`);
+        document.getElementById('weakFactsStatus').style.display = 'none';
+        return;
+    }
+    
+    const settings = getWorksheetSettings();
+    const questionTypes = settings.questionTypes.length > 0 ? settings.questionTypes : ['multiplication'];
+    currentQuestions = generateWeakFactQuestions(weakFacts, settings.numQuestions, questionTypes, settings);
+    currentQuestionsImported = false;
+    currentSettings = settings;
+    currentDifficulty = 'any';
+    
+    // The questions depend on the learner's progress, so a worksheet code could not recreate them
+    currentWorksheetCode = null;
+    document.getElementById('worksheetCodeDisplay').style.display = 'none';
+    
+    renderWorksheet(currentQuestions);
+    renderAnswers(currentQuestions);
+    
+    const count = currentQuestions.length;
+    const factCount = weakFacts.length;
+    document.getElementById('weakFactsStatusText').textContent =
+        `Made ${count} question${count === 1 ? '' : 's'} from ${learner.name}'s ${factCount} weakest fact${factCount === 1 ? '' : 's'}.`;
+    document.getElementById('weakFactsStatus').style.display = 'flex';
+}